@@ -2,6 +2,7 @@
 // ai.js — AI Layer (Google Gemini 2.0 Flash)
 // Handles smart search queries, review analysis, decision review.
 // Supports dev mode (direct API) and production mode (backend proxy).
+// Depends on cache.js (ResultCache) for cached answers.
 // ============================================================
 
 // Use v1 (Stable) endpoint for maximum compatibility
@@ -47,12 +48,38 @@ async function isAIAvailable() {
 
 // ─── Gemini API Call with Retry Logic ────────────────────────
 
+/**
+ * Wait before a retry, rejecting early if the run is cancelled.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        // The run's signal outlives many waits; drop the listener either way
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function isAbortError(err) {
+    return err?.name === 'AbortError';
+}
+
 /**
  * Call the Gemini API with automatic retries for 429 errors.
+ * options.signal cancels the request (and any retry) with an AbortError.
  */
 async function callAI(prompt, options = {}, retries = 3, delay = 2000) {
     const config = await getAIConfig();
-    const { temperature = 0.3, maxTokens = 1024 } = options;
+    const { temperature = 0.3, maxTokens = 1024, signal } = options;
 
     try {
         if (config.mode === 'dev') {
@@ -72,12 +99,13 @@ async function callAI(prompt, options = {}, retries = 3, delay = 2000) {
                         responseMimeType: 'application/json',
                     },
                 }),
+                signal,
             });
 
             if (response.status === 429 || response.status === 503) {
                 if (retries > 0) {
                     console.warn(`[AI] Rate limited (${response.status}). Retrying in ${delay / 1000}s... (${retries} left)`);
-                    await new Promise(r => setTimeout(r, delay));
+                    await waitForRetry(delay, signal);
                     return callAI(prompt, options, retries - 1, delay * 1.5);
                 }
                 throw new Error('QUOTA_EXCEEDED');
@@ -100,11 +128,12 @@ async function callAI(prompt, options = {}, retries = 3, delay = 2000) {
                     'Authorization': `Bearer ${config.authToken}`,
                 },
                 body: JSON.stringify({ prompt, temperature, maxTokens }),
+                signal,
             });
 
             if (response.status === 429) {
                 if (retries > 0) {
-                    await new Promise(r => setTimeout(r, delay));
+                    await waitForRetry(delay, signal);
                     return callAI(prompt, options, retries - 1, delay * 1.5);
                 }
                 throw new Error('QUOTA_EXCEEDED');
@@ -128,14 +157,42 @@ async function callAI(prompt, options = {}, retries = 3, delay = 2000) {
     throw new Error('Unknown AI mode');
 }
 
+/**
+ * callAI through the response cache, keyed by a hash of the model, the
+ * temperature and the prompt. Only answers that parse as JSON are stored,
+ * so a malformed reply is asked again next time.
+ * options.refresh skips the cached answer (the fresh one is still stored).
+ */
+async function callAICached(prompt, options = {}) {
+    const config = await getAIConfig();
+    const key = await ResultCache.hashText(`${config.model}|${options.temperature}|${prompt}`);
+    if (!options.refresh) {
+        const cached = await ResultCache.getCached('ai', key);
+        if (cached !== null) return cached;
+    }
+
+    const response = await callAI(prompt, options);
+    try {
+        JSON.parse(response);
+    } catch (e) {
+        // Not JSON — leave it uncached
+        return response;
+    }
+    await ResultCache.setCached('ai', key, response)
+        .catch(e => console.warn('[AI] Cache write failed:', e.message));
+    return response;
+}
+
 // ─── Smart Search Query Building ─────────────────────────────
 
 /**
  * Use AI to build an optimized search query from a product title.
  * @param {string} title - The full Amazon product title
+ * @param {{signal: AbortSignal, refresh: boolean}} [options] - signal cancels the call;
+ *   refresh ignores a cached answer
  * @returns {Promise<string>} search query
  */
-async function buildSearchQuery(title) {
+async function buildSearchQuery(title, { signal, refresh = false } = {}) {
     const prompt = `You are a product search expert. Given this Amazon product title, extract the CORE product type and key attributes for finding equivalent/similar products. 
 
 RULES:
@@ -149,10 +206,11 @@ RULES:
 Product title: "${title}"`;
 
     try {
-        const response = await callAI(prompt, { temperature: 0.1, maxTokens: 100 });
+        const response = await callAICached(prompt, { temperature: 0.1, maxTokens: 100, signal, refresh });
         const parsed = JSON.parse(response);
         return parsed.query || '';
     } catch (err) {
+        if (isAbortError(err)) throw err;
         console.warn('[AI] Search query generation failed, using fallback:', err.message);
         return '';
     }
@@ -222,9 +280,11 @@ Return ONLY a JSON object with this exact structure:
 /**
  * Batch analyze reviews for multiple products in one call to stay under 15 RPM.
  * @param {Array<object>} products - Array of product objects with .title, .asin, and .reviewTexts
+ * @param {{signal: AbortSignal, refresh: boolean}} [options] - signal cancels the call;
+ *   refresh ignores a cached answer
  * @returns {Promise<object>} map of ASIN -> results
  */
-async function analyzeReviewsBatch(products) {
+async function analyzeReviewsBatch(products, { signal, refresh = false } = {}) {
     const validProducts = products.filter(p => p.reviewTexts && p.reviewTexts.length > 0);
     if (!validProducts.length) return {};
 
@@ -249,7 +309,7 @@ Return ONLY a JSON map with ASINs as keys:
 }`;
 
     try {
-        const response = await callAI(prompt, { temperature: 0.2, maxTokens: 1024 });
+        const response = await callAICached(prompt, { temperature: 0.2, maxTokens: 1024, signal, refresh });
         const parsed = JSON.parse(response);
 
         // Clean up response objects to ensure they have the correct keys
@@ -265,28 +325,81 @@ Return ONLY a JSON map with ASINs as keys:
         });
         return results;
     } catch (err) {
+        if (isAbortError(err)) throw err;
         console.warn('[AI] Batch review analysis failed:', err.message);
         return {};
     }
 }
 
+// ─── Equivalence Check ───────────────────────────────────────
+
+/**
+ * Ask the AI which candidates are the same kind of product as the original
+ * (not accessories, refills or different product types).
+ * @param {object} original - Product with .title
+ * @param {Array<object>} candidates - Products with .asin and .title
+ * @param {{signal: AbortSignal}} [options] - signal cancels the call
+ * @returns {Promise<object>} map of ASIN -> { equivalent: boolean, reason: string }
+ */
+async function checkEquivalence(original, candidates, { signal } = {}) {
+    if (!original || !candidates || candidates.length === 0) return {};
+
+    const candidateList = candidates
+        .map(c => `${c.asin}: "${c.title}"`)
+        .join('\n');
+
+    const prompt = `You are a product comparison expert. Decide which candidates are an equivalent substitute for the original product — the same kind of product a shopper could buy instead. Accessories, refills, cases, parts and different product types are NOT equivalent. Different brands and pack sizes ARE equivalent.
+
+Original product: "${original.title}"
+
+Candidates:
+${candidateList}
+
+Return ONLY a JSON map with ASINs as keys:
+{
+  "ASIN_123": { "equivalent": <true or false>, "reason": <short reason, max 8 words> },
+  ...
+}`;
+
+    try {
+        const response = await callAI(prompt, { temperature: 0.1, maxTokens: 800, signal });
+        const parsed = JSON.parse(response);
+
+        const results = {};
+        Object.entries(parsed).forEach(([asin, data]) => {
+            results[asin] = {
+                equivalent: data.equivalent !== false,
+                reason: data.reason || '',
+            };
+        });
+        return results;
+    } catch (err) {
+        if (isAbortError(err)) throw err;
+        console.warn('[AI] Equivalence check failed:', err.message);
+        return {};
+    }
+}
+
 // ─── Decision Review ─────────────────────────────────────────
 
 /**
  * Generate a natural-language decision review explaining the recommendation.
  * @param {Array} rankedProducts - Products sorted by score, with .score and .breakdown
  * @param {Object} reviewAnalyses - Map of ASIN → review analysis object
+ * @param {{signal: AbortSignal, refresh: boolean}} [options] - signal cancels the call;
+ *   refresh ignores a cached answer
  * @returns {Promise<string>} decision review text
  */
-async function writeDecisionReview(rankedProducts, reviewAnalyses = {}) {
+async function writeDecisionReview(rankedProducts, reviewAnalyses = {}, { signal, refresh = false } = {}) {
     if (!rankedProducts || rankedProducts.length === 0) return '';
 
     const productSummaries = rankedProducts.slice(0, 5).map((p, i) => {
         const analysis = reviewAnalyses[p.asin] || {};
+        const money = amount => MoneyEngine.formatMoney(amount, p.currency) || 'N/A';
         return `${i + 1}. "${p.title}"
-   - Price: $${p.price?.toFixed(2) || 'N/A'} | Unit price: $${p.unitPrice?.toFixed(2) || 'N/A'} (qty: ${p.quantity || 1})
-   - Rating: ${p.rating || 'N/A'}/5 (${(p.reviewCount || 0).toLocaleString()} reviews)
-   - Shipping: ${p.shipping?.isPrime ? 'Prime' : p.shipping?.isFree ? 'Free' : 'Standard'}
+   - Price: ${money(p.price)}${p.effectivePrice && Math.abs(p.effectivePrice - p.price) >= 0.01 ? ` (effective ${money(p.effectivePrice)} after ${p.priceAdjustments.map(a => a.label).join(', ')})` : ''} | Unit price: ${ScoringEngine.formatUnitPrice(p.unitPrice, p.unitLabel, p.currency)} (qty: ${p.quantity || 1})
+   - Rating: ${p.rating || 'N/A'}/5 (${(p.reviewCount || 0).toLocaleString()} reviews, ${p.ratingAdjusted?.toFixed(2) || 'N/A'} adjusted for review volume)
+   - Shipping: ${p.shipping?.isPrime ? 'Prime' : p.shipping?.isFree ? 'Free' : 'Standard'}${p.shipping?.delivery ? `, arrives ${ScoringEngine.formatDeliveryRange(p.shipping.delivery)}` : ''}${p.lateDelivery ? ' (after the buyer\'s need-by date)' : ''}
    - Score: ${p.score}/100
    - Review pros: ${(analysis.pros || []).join(', ') || 'N/A'}
    - Review cons: ${(analysis.cons || []).join(', ') || 'N/A'}`;
@@ -307,10 +420,11 @@ RULES:
 - Return ONLY a JSON object: {"review": "your review text here"}`;
 
     try {
-        const response = await callAI(prompt, { temperature: 0.4, maxTokens: 500 });
+        const response = await callAICached(prompt, { temperature: 0.4, maxTokens: 500, signal, refresh });
         const parsed = JSON.parse(response);
         return parsed.review || '';
     } catch (err) {
+        if (isAbortError(err)) throw err;
         console.warn('[AI] Decision review failed:', err.message);
         return '';
     }
@@ -325,6 +439,8 @@ if (typeof globalThis !== 'undefined') {
         buildSearchQuery,
         analyzeReviews,
         analyzeReviewsBatch,
+        checkEquivalence,
         writeDecisionReview,
+        isAbortError,
     };
 }
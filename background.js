@@ -6,51 +6,511 @@
 console.log('[BG] Optimizer v1.0.1 started');
 
 // Import scoring and AI modules
-importScripts('scoring.js', 'ai.js');
+importScripts('marketplaces.js', 'money.js', 'scoring.js', 'relevance.js', 'cache.js', 'ai.js', 'history.js', 'watchlist.js');
 
 // ─── State ─────────────────────────────────────────────────
 
-let lastResults = null;    // Cache last results for popup
-let isOptimizing = false;  // Track active optimization
+// Results and run state live in chrome.storage.session, keyed by tab (see
+// Results Store below), so they survive the worker being evicted
+let isCheckingWatchlist = false;
+
+// ─── Content Script Registration ───────────────────────────
+
+// Product and search result pages of every storefront in the marketplace
+// registry. Registered here rather than in manifest.json so the registry is
+// the single list; host_permissions in the manifest must still cover each domain.
+function getContentScripts() {
+    return [
+        {
+            id: 'product-page',
+            matches: MarketplaceRegistry.getProductPageMatches(),
+            js: ['marketplaces.js', 'money.js', 'scoring.js', 'results-view.js', 'panel.js', 'fetch-scheduler.js', 'content.js'],
+            css: ['content.css'],
+            runAt: 'document_idle',
+        },
+        {
+            id: 'search-page',
+            matches: MarketplaceRegistry.getSearchPageMatches(),
+            js: ['marketplaces.js', 'money.js', 'scoring.js', 'fetch-scheduler.js', 'content.js', 'search-page.js'],
+            css: ['content.css'],
+            runAt: 'document_idle',
+        },
+    ];
+}
+
+async function registerContentScripts() {
+    const scripts = getContentScripts();
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids: scripts.map(s => s.id) });
+    const registered = new Set(existing.map(s => s.id));
+    const updates = scripts.filter(s => registered.has(s.id));
+    const additions = scripts.filter(s => !registered.has(s.id));
+    if (updates.length > 0) await chrome.scripting.updateContentScripts(updates);
+    if (additions.length > 0) await chrome.scripting.registerContentScripts(additions);
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+    registerContentScripts().catch(err => console.error('[BG] Content script registration failed:', err));
+    scheduleWatchChecks();
+});
+chrome.runtime.onStartup.addListener(() => {
+    registerContentScripts().catch(err => console.error('[BG] Content script registration failed:', err));
+    scheduleWatchChecks();
+});
 
 // ─── Message Handler ───────────────────────────────────────
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     if (msg.action === 'optimize') {
-        isOptimizing = true;
-        handleOptimize(msg.product, sender.tab?.id)
-            .then(results => {
-                lastResults = results;
-                isOptimizing = false;
-                sendResponse({ success: true });
-            })
+        const tabId = sender.tab?.id;
+        runOptimize(msg.product, tabId)
+            .then(() => sendResponse({ success: true }))
             .catch(err => {
-                isOptimizing = false;
+                if (AIEngine.isAbortError(err)) {
+                    sendResponse({ cancelled: true, reason: err.message });
+                    return;
+                }
+                if (isVerificationError(err)) {
+                    sendResponse({ error: err.message, verificationRequired: true });
+                    return;
+                }
                 console.error('[BG] Optimize failed:', err);
                 sendResponse({ error: err.message });
             });
         return true; // Keep channel open for async
     }
 
-    if (msg.action === 'getResults') {
-        sendResponse({ results: lastResults, isOptimizing: isOptimizing });
+    if (msg.action === 'refreshOptimize') {
+        refreshTab(msg.tabId ?? sender.tab?.id)
+            .then(() => sendResponse({ success: true }))
+            .catch(err => {
+                if (!AIEngine.isAbortError(err) && !isVerificationError(err)) console.error('[BG] Refresh failed:', err);
+                sendResponse({ error: err.message });
+            });
+        return true; // Keep channel open for async
+    }
+
+    if (msg.action === 'cancelOptimize') {
+        cancelRun(msg.tabId ?? sender.tab?.id).then(cancelled => sendResponse({ cancelled }));
+        return true; // Keep channel open for async
+    }
+
+    if (msg.action === 'productChanged') {
+        if (sender.tab?.id !== undefined) cancelStaleRun(sender.tab.id, msg.previousAsin);
         return false;
     }
 
-    if (msg.action === 'clearResults') {
-        lastResults = null;
-        isOptimizing = false;
-        sendResponse({ success: true });
+    if (msg.action === 'detailsProgress') {
+        if (sender.tab?.id !== undefined) {
+            reportProgress(sender.tab.id, {
+                step: 'details',
+                message: `Fetched details ${msg.done}/${msg.total}`,
+                done: msg.done,
+                total: msg.total,
+            });
+        }
         return false;
     }
+
+    if (msg.action === 'getResults') {
+        getTabResults(msg.tabId ?? sender.tab?.id, msg.asin)
+            .then(state => sendResponse(state))
+            .catch(err => {
+                console.error('[BG] Loading results failed:', err);
+                sendResponse({ results: null, isOptimizing: false });
+            });
+        return true; // Keep channel open for async
+    }
+
+    if (msg.action === 'rescore') {
+        rescoreStored(msg, {
+            profileId: msg.profileId,
+            constraints: msg.constraints,
+            subscribeSave: msg.subscribeSave,
+        })
+            .then(results => sendResponse({ results }))
+            .catch(err => {
+                console.error('[BG] Rescore failed:', err);
+                sendResponse({ error: err.message });
+            });
+        return true; // Keep channel open for async
+    }
+
+    if (msg.action === 'listComparisons') {
+        listComparisons().then(comparisons => sendResponse({ comparisons }));
+        return true; // Keep channel open for async
+    }
+
+    if (msg.action === 'getComparison') {
+        getComparison(msg.comparisonId).then(results => sendResponse({ results }));
+        return true; // Keep channel open for async
+    }
+
+    if (msg.action === 'clearComparisons') {
+        clearComparisons().then(() => sendResponse({ success: true }));
+        return true; // Keep channel open for async
+    }
+
+    if (msg.action === 'checkWatchlist') {
+        checkWatchlist()
+            .then(() => sendResponse({ success: true }))
+            .catch(err => {
+                console.error('[BG] Watchlist check failed:', err);
+                sendResponse({ error: err.message });
+            });
+        return true; // Keep channel open for async
+    }
+
+    if (msg.action === 'clearResults') {
+        clearTab(msg.tabId).then(() => sendResponse({ success: true }));
+        return true; // Keep channel open for async
+    }
+});
+
+// ─── Progress Streaming ────────────────────────────────────
+
+// Popups subscribe to a tab's run over a long-lived port: port.postMessage({ tabId }).
+// The on-page panel posts {} and is subscribed to its own tab. Posting again
+// moves the subscription (the side panel follows the active tab).
+const PROGRESS_PORT = 'optimize-progress';
+const PROGRESS_STEPS = ['query', 'search', 'details', 'relevance', 'offers', 'reviews', 'scored', 'summary', 'storefronts'];
+const progressPorts = new Map(); // tabId → Set<Port>
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== PROGRESS_PORT) return;
+    let subscribedTab = null;
+    port.onMessage.addListener((msg) => {
+        const tabId = typeof msg.tabId === 'number' ? msg.tabId : port.sender?.tab?.id;
+        if (typeof tabId !== 'number') return;
+        progressPorts.get(subscribedTab)?.delete(port);
+        subscribedTab = tabId;
+        if (!progressPorts.has(subscribedTab)) progressPorts.set(subscribedTab, new Set());
+        progressPorts.get(subscribedTab).add(port);
+    });
+    port.onDisconnect.addListener(() => {
+        progressPorts.get(subscribedTab)?.delete(port);
+    });
 });
 
+/**
+ * Share to 0–1 of the run an event marks as finished; detail fetches
+ * advance within their step.
+ */
+function getProgressFraction(event) {
+    if (event.step === 'done') return 1;
+    const index = PROGRESS_STEPS.indexOf(event.step);
+    if (index < 0) return 0;
+    const within = event.total ? event.done / event.total : 1;
+    return (index + within) / PROGRESS_STEPS.length;
+}
+
+/**
+ * Record a step of a tab's run and stream it to subscribed popups.
+ * @param {number} tabId
+ * @param {object} event - { step, message, done?, total?, results? } where
+ *   results carries the partial (deterministic) ranking once scoring is done
+ */
+async function reportProgress(tabId, event) {
+    if (typeof tabId !== 'number') return;
+    const progress = {
+        step: event.step,
+        message: event.message,
+        done: event.done ?? null,
+        total: event.total ?? null,
+        fraction: getProgressFraction(event),
+    };
+    progressPorts.get(tabId)?.forEach(port => port.postMessage({ ...progress, results: event.results || null }));
+
+    // Kept apart from run:<tabId> so a late event can't overwrite the run's final status
+    const run = await getTabRun(tabId);
+    const items = { [`progress:${tabId}`]: progress };
+    if (event.results && run?.status === 'optimizing') items[`results:${tabId}:${run.asin}`] = event.results;
+    await storageSet('session', items);
+}
+
+// ─── Run Control ───────────────────────────────────────────
+//
+// Each run has an ID and an AbortController. The signal goes to every
+// search, detail fetch and AI call; the ID lets the content script abort
+// its own fetches for that run. One run per tab: starting another cancels
+// the current one, and the new run waits for it to unwind before it starts.
+// Runs on different tabs proceed side by side.
+
+const tabRuns = new Map(); // tabId → { id, controller, finished: Promise }
+let runCounter = 0;
+
+function cancelledError(message) {
+    return new DOMException(message, 'AbortError');
+}
+
+/**
+ * Cancel a tab's run.
+ * @returns {Promise<boolean>} whether there was a run to cancel
+ */
+async function cancelRun(tabId) {
+    const active = tabRuns.get(tabId);
+    if (active) {
+        active.controller.abort(cancelledError('Optimization cancelled'));
+        return true;
+    }
+    // A run left behind by a worker restart: nothing to abort, just mark it
+    const run = await getTabRun(tabId);
+    if (run?.status !== 'optimizing') return false;
+    await setTabRun(tabId, { ...run, status: 'cancelled', error: null });
+    return true;
+}
+
+/**
+ * The page switched to another variant (or product) without a reload:
+ * a run still going for the product it showed before is no longer wanted.
+ */
+async function cancelStaleRun(tabId, previousAsin) {
+    const run = await getTabRun(tabId);
+    if (run?.status === 'optimizing' && run.asin === previousAsin) await cancelRun(tabId);
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    tabRuns.get(tabId)?.controller.abort(cancelledError('Tab closed'));
+    clearTab(tabId).catch(err => console.warn('[BG] Failed to clear closed tab:', err.message));
+});
+
+// ─── Results Store ─────────────────────────────────────────
+//
+// chrome.storage.session (cleared when the browser closes):
+//   run:<tabId>             { asin, status: 'optimizing' | 'done' | 'error', error, startedAt, comparisonId }
+//   progress:<tabId>        latest step of the run (see reportProgress)
+//   results:<tabId>:<asin>  buildResults() object
+// chrome.storage.local (recent comparisons, reopenable from the popup):
+//   recentComparisons       index, newest first
+//   comparison:<id>         buildResults() object
+
+const RECENT_COMPARISONS_KEY = 'recentComparisons';
+const MAX_RECENT_COMPARISONS = 20;
+
+// A run still marked as optimizing after this long was cut off by a worker restart
+const STALE_RUN_MS = 5 * 60 * 1000;
+
+function storageGet(area, keys) {
+    return new Promise(resolve => chrome.storage[area].get(keys, resolve));
+}
+
+function storageSet(area, items) {
+    return new Promise(resolve => chrome.storage[area].set(items, resolve));
+}
+
+function storageRemove(area, keys) {
+    return new Promise(resolve => chrome.storage[area].remove(keys, resolve));
+}
+
+async function getTabRun(tabId) {
+    const key = `run:${tabId}`;
+    return (await storageGet('session', [key]))[key] || null;
+}
+
+async function setTabRun(tabId, run) {
+    await storageSet('session', { [`run:${tabId}`]: run });
+    notifyResultsChanged(tabId);
+}
+
+// The on-page panel can't read storage.session; tell it to ask for the tab's state again
+function notifyResultsChanged(tabId) {
+    chrome.tabs.sendMessage(tabId, { action: 'resultsChanged' }, () => void chrome.runtime.lastError);
+}
+
+/**
+ * Run optimization for a tab, recording its state and results in the
+ * store. Supersedes the tab's current run (see Run Control).
+ * options.refresh ignores cached searches, product pages and AI answers.
+ */
+async function runOptimize(product, tabId, { refresh = false } = {}) {
+    if (typeof tabId !== 'number') return handleOptimize(product, tabId);
+
+    const previous = tabRuns.get(tabId);
+    previous?.controller.abort(cancelledError('Superseded by a newer run'));
+
+    const controller = new AbortController();
+    const run = { id: `${Date.now().toString(36)}-${++runCounter}`, signal: controller.signal, refresh };
+    const entry = { id: run.id, controller, finished: null };
+    tabRuns.set(tabId, entry);
+
+    // Let the content script drop this run's fetches too
+    run.signal.addEventListener('abort', () => {
+        chrome.tabs.sendMessage(tabId, { action: 'cancelRun', runId: run.id }, () => void chrome.runtime.lastError);
+    }, { once: true });
+
+    entry.finished = (async () => {
+        if (previous) await previous.finished.catch(() => { });
+        run.signal.throwIfAborted();
+
+        const asin = product?.asin || null;
+        await storageRemove('session', [`results:${tabId}:${asin}`, `progress:${tabId}`]);
+        await setTabRun(tabId, { asin, status: 'optimizing', error: null, startedAt: Date.now(), runId: run.id });
+        try {
+            const results = await handleOptimize(product, tabId, {
+                run,
+                onProgress: event => reportProgress(tabId, event),
+            });
+            const comparisonId = await saveComparison(results);
+            ResultCache.pruneCache().catch(e => console.warn('[BG] Cache pruning failed:', e.message));
+            await storageSet('session', { [`results:${tabId}:${asin}`]: results });
+            await setTabRun(tabId, { asin, status: 'done', error: null, startedAt: Date.now(), comparisonId });
+            await reportProgress(tabId, { step: 'done', message: 'Done' });
+            return results;
+        } catch (err) {
+            let status = 'error';
+            if (AIEngine.isAbortError(err)) status = 'cancelled';
+            else if (isVerificationError(err)) status = 'verification';
+            // Drop the partial ranking; it would otherwise wait forever for its AI review
+            await storageRemove('session', [`results:${tabId}:${asin}`]);
+            await setTabRun(tabId, {
+                asin,
+                status,
+                error: status === 'error' ? err.message : null,
+                verificationUrl: status === 'verification' ? err.url : null,
+                startedAt: Date.now(),
+            });
+            throw err;
+        }
+    })();
+
+    try {
+        return await entry.finished;
+    } finally {
+        if (tabRuns.get(tabId) === entry) tabRuns.delete(tabId);
+    }
+}
+
+/**
+ * Re-run the product a tab shows, bypassing the cache (the popup's Refresh).
+ */
+async function refreshTab(tabId) {
+    const product = await new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tabId, { action: 'getProductData' }, (res) => {
+            if (chrome.runtime.lastError || !res?.title) {
+                reject(new Error('Open the product page to refresh its comparison'));
+            } else {
+                resolve(res);
+            }
+        });
+    });
+    return runOptimize(product, tabId, { refresh: true });
+}
+
+/**
+ * Results for a tab: those for `asin` when given (the product the tab
+ * shows now), else for the tab's latest run.
+ * verificationUrl is set when Amazon's robot check stopped the run.
+ * @returns {Promise<{results: object|null, isOptimizing: boolean, progress: object|null, error: string|null, verificationUrl: string|null}>}
+ */
+async function getTabResults(tabId, asin = null) {
+    if (typeof tabId !== 'number') return { results: null, isOptimizing: false, progress: null, error: null, verificationUrl: null };
+
+    const run = await getTabRun(tabId);
+    const key = `results:${tabId}:${asin || run?.asin}`;
+    const stored = await storageGet('session', [key, `progress:${tabId}`]);
+    const results = stored[key] || null;
+    const isCurrentRun = run && (!asin || run.asin === asin);
+    const isOptimizing = !!isCurrentRun && run.status === 'optimizing' && Date.now() - run.startedAt < STALE_RUN_MS;
+
+    return {
+        results,
+        isOptimizing,
+        progress: isOptimizing ? stored[`progress:${tabId}`] || null : null,
+        error: isCurrentRun && run.status === 'error' ? run.error : null,
+        verificationUrl: isCurrentRun && run.status === 'verification' ? run.verificationUrl : null,
+    };
+}
+
+/**
+ * Re-rank stored results — a tab's ({ tabId, asin }) or a saved
+ * comparison's ({ comparisonId }) — and store the new ranking in place.
+ */
+async function rescoreStored(source, overrides) {
+    if (source.comparisonId) {
+        const results = await rescoreResults(await getComparison(source.comparisonId), overrides);
+        if (results) await storageSet('local', { [`comparison:${source.comparisonId}`]: results });
+        return results;
+    }
+
+    const run = await getTabRun(source.tabId);
+    const asin = source.asin || run?.asin;
+    const key = `results:${source.tabId}:${asin}`;
+    const stored = (await storageGet('session', [key]))[key];
+    const results = await rescoreResults(stored, overrides);
+    if (results) {
+        await storageSet('session', { [key]: results });
+        notifyResultsChanged(source.tabId);
+    }
+    return results || null;
+}
+
+async function clearTab(tabId) {
+    if (typeof tabId !== 'number') return;
+    const all = await storageGet('session', null);
+    const keys = Object.keys(all).filter(k => k === `run:${tabId}` || k === `progress:${tabId}` || k.startsWith(`results:${tabId}:`));
+    if (keys.length > 0) await storageRemove('session', keys);
+}
+
+/**
+ * Keep finished results in the recent comparisons list, dropping the oldest.
+ * @returns {Promise<string>} comparison id
+ */
+async function saveComparison(results) {
+    const original = results.products.find(p => p.isOriginal) || results.originalProduct || {};
+    const best = results.products.find(p => p.isBestValue);
+    const id = `${results.timestamp}-${original.asin || 'product'}`;
+    const entry = {
+        id,
+        asin: original.asin || null,
+        title: results.originalProduct?.title || original.title || '',
+        imageUrl: results.originalProduct?.imageUrl || original.imageUrl || '',
+        marketplace: results.originalProduct?.marketplace || MarketplaceRegistry.DEFAULT_MARKETPLACE,
+        bestTitle: best && !best.isOriginal ? best.title : null,
+        candidates: results.products.length,
+        timestamp: results.timestamp,
+    };
+
+    const index = await listComparisons();
+    const kept = [entry, ...index.filter(c => c.asin !== entry.asin || c.marketplace !== entry.marketplace)];
+    const dropped = kept.splice(MAX_RECENT_COMPARISONS);
+    const replaced = index.filter(c => !kept.includes(c) && !dropped.includes(c));
+
+    await storageSet('local', { [RECENT_COMPARISONS_KEY]: kept, [`comparison:${id}`]: results });
+    const stale = [...dropped, ...replaced].map(c => `comparison:${c.id}`);
+    if (stale.length > 0) await storageRemove('local', stale);
+    return id;
+}
+
+async function listComparisons() {
+    return (await storageGet('local', [RECENT_COMPARISONS_KEY]))[RECENT_COMPARISONS_KEY] || [];
+}
+
+async function getComparison(id) {
+    const key = `comparison:${id}`;
+    return (await storageGet('local', [key]))[key] || null;
+}
+
+async function clearComparisons() {
+    const index = await listComparisons();
+    await storageRemove('local', [RECENT_COMPARISONS_KEY, ...index.map(c => `comparison:${c.id}`)]);
+}
+
 // ─── Main Optimization Flow ────────────────────────────────
 
-async function handleOptimize(product, tabId) {
+/**
+ * @param {object} product - Data extracted from the product page
+ * @param {number} tabId - Tab whose content script fetches and parses Amazon pages
+ * @param {object} [options]
+ * @param {{id: string, signal: AbortSignal, refresh: boolean}} [options.run] - signal cancels the
+ *   run with an AbortError; refresh skips cached searches, product pages and AI answers
+ * @param {function} [options.onProgress] - Called with { step, message, done?, total?, results? }
+ *   after each step; the 'scored' step carries the deterministic ranking
+ */
+async function handleOptimize(product, tabId, options = {}) {
     if (!product || !product.title) {
         throw new Error('No product data provided');
     }
+    const { run = { id: null, signal: undefined }, onProgress = () => { } } = options;
+    const { signal, refresh = false } = run;
 
     // Notify content script: loading
     if (tabId && typeof tabId === 'number') {
@@ -62,89 +522,186 @@ async function handleOptimize(product, tabId) {
     }
 
     try {
-        // Step 1: Build search query (AI or fallback)
+        // Step 1: Build search queries (AI query first, then keyword variants)
         const aiAvailable = await AIEngine.isAIAvailable();
-        let searchQuery;
+        let aiQuery = '';
 
         console.log('[BG] AI Available:', aiAvailable);
 
         if (aiAvailable) {
             console.log('[BG] Generating AI search query for:', product.title);
-            searchQuery = await AIEngine.buildSearchQuery(product.title);
+            aiQuery = await AIEngine.buildSearchQuery(product.title, { signal, refresh });
             await new Promise(r => setTimeout(r, 500)); // Rate limit safety
+            signal?.throwIfAborted();
         }
 
-        if (!searchQuery) {
-            console.log('[BG] Using fallback search query');
-            searchQuery = ScoringEngine.buildSearchQueryFallback(product.title);
-        }
+        const discovery = await getDiscoverySettings();
+        const { language } = MarketplaceRegistry.getMarketplace(product.marketplace);
+        const queries = ScoringEngine.buildSearchQueries(product.title, {
+            aiQuery,
+            brand: product.brand,
+            language,
+            maxQueries: discovery.queries,
+        });
 
-        console.log('[BG] Final search query:', searchQuery);
+        console.log('[BG] Search queries:', queries);
+        await onProgress({
+            step: 'query',
+            message: queries.length > 1 ? `Searching ${queries.length} queries` : `Searching for "${queries[0] || product.title}"`,
+        });
 
-        // Step 2: Search Amazon for similar products
+        // Step 2: Search Amazon for similar products, most relevant first
         console.log('[BG] Searching Amazon...');
-        const searchResults = await searchAmazon(searchQuery, product.asin, tabId);
-        console.log('[BG] Found', searchResults.length, 'potential candidates');
+        const found = await discoverCandidates(queries, product, tabId, run, discovery.pages);
+        await recordPriceHistory([product, ...found]);
+
+        // Sponsored placements are dropped or pushed down per the user's setting
+        const relevanceSettings = await getRelevanceSettings();
+        const { kept: sponsoredKept, skipped: skippedAds } = RelevanceEngine.applySponsoredMode(found, relevanceSettings.sponsoredMode);
+        // Other sizes of this same item come from its own page, not the search
+        const variants = buildVariantCandidates(product);
+        const variantAsins = new Set(variants.map(v => v.asin));
+        const searchResults = sponsoredKept.filter(p => !variantAsins.has(p.asin));
+        console.log('[BG] Found', searchResults.length, 'potential candidates;', skippedAds.length, 'sponsored skipped');
+        await onProgress({
+            step: 'search',
+            message: `Found ${searchResults.length} candidates${skippedAds.length ? ` (skipped ${skippedAds.length} sponsored)` : ''}`,
+        });
 
-        if (searchResults.length === 0) {
+        const profile = await getActiveProfile();
+
+        if (searchResults.length === 0 && variants.length === 0) {
             console.warn('[BG] No similar products found on Amazon search.');
-            return buildResults(product, [], {}, {}, '', aiAvailable);
+            return buildResults(product, [], {}, {}, '', aiAvailable, { profile, candidates: [] });
         }
 
-        // Step 3: Fetch detail pages for top results (parallel)
+        // Step 3: Fetch detail pages for the most relevant results. Product
+        // pages name their parent ASIN, so variations found twice drop out here
         console.log('[BG] Fetching details for top', Math.min(8, searchResults.length), 'products...');
-        const detailedProducts = await fetchProductDetails(searchResults.slice(0, 8), tabId);
+        const detailedProducts = searchResults.length > 0
+            ? RelevanceEngine.dedupeCandidates(await fetchProductDetails(searchResults.slice(0, 8), tabId, run))
+            : [];
         console.log('[BG] Successfully fetched', detailedProducts.length, 'detailed products');
+        await recordPriceHistory(detailedProducts);
+
+        // Step 4: Relevance filter — reject accessories, refills, other product types
+        let aiVerdicts = {};
+        if (aiAvailable && relevanceSettings.aiCheck) {
+            console.log('[BG] Running AI equivalence check...');
+            aiVerdicts = await AIEngine.checkEquivalence(product, detailedProducts, { signal });
+            await new Promise(r => setTimeout(r, 500)); // Rate limit safety
+            signal?.throwIfAborted();
+        }
+        const { kept, excluded } = RelevanceEngine.filterCandidates(product, detailedProducts, {
+            threshold: relevanceSettings.threshold,
+            mode: relevanceSettings.mode,
+            aiVerdicts,
+        });
+        console.log('[BG] Relevance filter kept', kept.length, 'and excluded', excluded.length, 'candidates');
+        await onProgress({ step: 'relevance', message: `Kept ${kept.length} of ${detailedProducts.length} as real alternatives` });
 
-        // Step 4: Include the original product
-        const allProducts = [
-            { ...product, isOriginal: true, quantity: ScoringEngine.extractQuantity(product.title) },
-            ...detailedProducts,
-        ];
+        // Step 5: Include the original product and its other variants, with
+        // other sellers' offers for it and the best alternatives when enabled
+        let original = { ...product, isOriginal: true, quantity: ScoringEngine.extractQuantity(product.title) };
+        let alternatives = kept;
+        const otherSellers = await getOtherSellersSettings();
+        if (otherSellers.enabled && product.asin) {
+            const listed = [original, ...kept.slice(0, OTHER_SELLER_CANDIDATES)].map(p => ({ asin: p.asin }));
+            const offers = await fetchOffers(listed, tabId, run);
+            const withOffers = p => offers[p.asin] ? { ...p, offers: offers[p.asin] } : p;
+            original = withOffers(original);
+            alternatives = kept.map(withOffers);
+            await onProgress({ step: 'offers', message: `Checked other sellers for ${Object.keys(offers).length} products` });
+        }
+        const allProducts = [original, ...variants, ...alternatives];
 
-        // Step 5: AI review analysis (if available)
+        // Step 6: AI review analysis (if available)
         let reviewAnalyses = {};
         if (aiAvailable) {
             try {
                 console.log('[BG] Starting batch AI review analysis...');
                 // Batch all reviews into ONE AI call (saves quota/prevents 429)
-                reviewAnalyses = await AIEngine.analyzeReviewsBatch(allProducts);
+                reviewAnalyses = await AIEngine.analyzeReviewsBatch(allProducts, { signal, refresh });
                 console.log('[BG] Review analysis complete for', Object.keys(reviewAnalyses).length, 'products');
                 await new Promise(r => setTimeout(r, 500)); // Rate limit safety
+                signal?.throwIfAborted();
             } catch (err) {
+                if (AIEngine.isAbortError(err)) throw err;
                 console.warn('[BG] Batch review analysis failed:', err);
             }
         }
+        await onProgress({
+            step: 'reviews',
+            message: aiAvailable ? `Analyzed reviews of ${Object.keys(reviewAnalyses).length} products` : 'Scoring without AI review analysis',
+        });
 
-        // Step 6: Deterministic scoring
+        // Step 7: Deterministic scoring
         console.log('[BG] Scoring products...');
         const aiSentiments = {};
         Object.entries(reviewAnalyses).forEach(([asin, analysis]) => {
             aiSentiments[asin] = analysis.sentimentScore || 50;
         });
+        // Variants share the original's reviews
+        if (reviewAnalyses[product.asin]) {
+            variants.forEach(v => {
+                reviewAnalyses[v.asin] = reviewAnalyses[product.asin];
+                aiSentiments[v.asin] = aiSentiments[product.asin];
+            });
+        }
 
-        const ranked = ScoringEngine.scoreProducts(allProducts,
-            Object.keys(aiSentiments).length > 0 ? aiSentiments : null
-        );
+        console.log('[BG] Using scoring profile:', profile.name);
+        const constraints = await getConstraints();
+        const pricing = await getPricingOptions();
+        const { ranked, removed } = rankCandidates(allProducts, aiSentiments, profile, constraints, pricing);
+        console.log('[BG] Constraints removed', removed.length, 'products');
         console.log('[BG] Scoring complete. Top product score:', ranked[0]?.score);
 
-        // Step 7: AI decision review
+        // Step 8: Price history for the trend and "lowest seen" indicators
+        const priceHistory = await getPriceHistory(allProducts);
+
+        // The deterministic ranking is complete — show it while the AI writes its review
+        const context = { profile, constraints, pricing, candidates: allProducts, excluded, removed, priceHistory };
+        await onProgress({
+            step: 'scored',
+            message: `Ranked ${ranked.length} products`,
+            results: {
+                ...buildResults(product, ranked, reviewAnalyses, aiSentiments, ScoringEngine.generateFallbackSummary(ranked), aiAvailable, context),
+                partial: true,
+            },
+        });
+
+        // Step 9: AI decision review (only over products that meet the constraints)
         let decisionReview = '';
         if (aiAvailable) {
             console.log('[BG] Generating AI decision summary...');
-            decisionReview = await AIEngine.writeDecisionReview(ranked, reviewAnalyses);
+            const eligible = ranked.filter(p => !p.constraintViolations);
+            decisionReview = await AIEngine.writeDecisionReview(eligible, reviewAnalyses, { signal, refresh });
         }
         if (!decisionReview) {
             decisionReview = ScoringEngine.generateFallbackSummary(ranked);
         }
+        await onProgress({ step: 'summary', message: aiAvailable ? 'AI recommendation written' : 'Summary written' });
+
+        // Step 10: Optional price check on other storefronts
+        let storefronts = null;
+        const crossMarketplace = await getCrossMarketplaceSettings();
+        if (crossMarketplace.enabled) {
+            console.log('[BG] Checking other storefronts:', crossMarketplace.domains.join(', '));
+            storefronts = await compareStorefronts(product, ranked, crossMarketplace, tabId, run);
+            await recordPriceHistory((storefronts?.offers || []).filter(o => !o.isHome));
+            await onProgress({ step: 'storefronts', message: 'Checked other storefronts' });
+        }
 
-        return buildResults(product, ranked, reviewAnalyses, aiSentiments, decisionReview, aiAvailable);
+        return buildResults(product, ranked, reviewAnalyses, aiSentiments, decisionReview, aiAvailable, {
+            ...context,
+            storefronts,
+        });
 
     } finally {
         // Notify content script: done
         if (tabId && typeof tabId === 'number') {
             try {
-                chrome.tabs.sendMessage(tabId, { action: 'optimizeStatus', status: 'done' });
+                chrome.tabs.sendMessage(tabId, { action: 'optimizeStatus', status: 'done', runId: run.id });
             } catch (e) {
                 console.warn('[BG] Failed to send done status:', e.message);
             }
@@ -152,48 +709,601 @@ async function handleOptimize(product, tabId) {
     }
 }
 
+// ─── Variations ────────────────────────────────────────────
+
+/**
+ * Candidates for the product's other variants (sizes, pack counts...)
+ * listed on its page. A variant is the same item, so it keeps the
+ * original's rating, reviews and delivery; its title carries the
+ * variant's size so the unit price is worked out from it.
+ * @param {object} product - Data extracted from the product page
+ * @returns {Array}
+ */
+function buildVariantCandidates(product) {
+    const variations = product.variations;
+    if (!variations || !Array.isArray(variations.options)) return [];
+
+    return variations.options
+        .filter(v => v.asin && v.asin !== product.asin && v.price > 0)
+        .map(v => ({
+            asin: v.asin,
+            title: ScoringEngine.buildVariantTitle(product.title, variations.current, v.values),
+            price: v.price,
+            currency: v.currency || product.currency,
+            url: v.url || MarketplaceRegistry.buildProductUrl(MarketplaceRegistry.getMarketplace(product.marketplace), v.asin),
+            rating: product.rating,
+            reviewCount: product.reviewCount,
+            shipping: product.shipping,
+            imageUrl: product.imageUrl,
+            brand: product.brand,
+            category: product.category,
+            marketplace: product.marketplace,
+            isVariant: true,
+            variantLabel: v.values.join(', '),
+        }));
+}
+
+// ─── Scoring Profiles ──────────────────────────────────────
+
+async function getActiveProfile() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(['activeProfileId', 'customProfiles'], (data) => {
+            resolve(ScoringEngine.resolveProfile(data.activeProfileId, data.customProfiles));
+        });
+    });
+}
+
+/**
+ * Re-rank the products of a previous run with another scoring profile or
+ * other constraints, without searching or calling the AI again.
+ * @param {object} results - A previous buildResults() object
+ * @param {object} [overrides] - { profileId, constraints, subscribeSave }; defaults to the run's own
+ */
+async function rescoreResults(results, overrides = {}) {
+    if (!results || !results.candidates || results.candidates.length === 0) return results;
+
+    const data = await new Promise(resolve => {
+        chrome.storage.local.get(['customProfiles'], resolve);
+    });
+    const profile = ScoringEngine.resolveProfile(overrides.profileId || results.profileId, data.customProfiles);
+    const constraints = ScoringEngine.normalizeConstraints(overrides.constraints || results.constraints);
+    const pricing = {
+        ...results.pricing,
+        ...(typeof overrides.subscribeSave === 'boolean' ? { subscribeSave: overrides.subscribeSave } : {}),
+    };
+    const aiSentiments = results.aiSentiments || {};
+
+    const { ranked, removed } = rankCandidates(results.candidates, aiSentiments, profile, constraints, pricing);
+
+    // The AI review explains the previous winner; only keep it if the winner is unchanged
+    const previousWinner = results.products.find(p => p.isBestValue);
+    const winner = ranked.find(p => p.isBestValue);
+    const decisionReview = previousWinner && winner && previousWinner.asin === winner.asin
+        ? results.decisionReview
+        : ScoringEngine.generateFallbackSummary(ranked);
+
+    return buildResults(results.originalProduct, ranked, results.reviewAnalyses || {}, aiSentiments, decisionReview, results.aiUsed, {
+        profile,
+        constraints,
+        pricing,
+        candidates: results.candidates,
+        excluded: results.excluded,
+        removed,
+        storefronts: results.storefronts,
+        priceHistory: results.priceHistory,
+    });
+}
+
+// ─── Ranking ───────────────────────────────────────────────
+
+/**
+ * Apply the hard constraints, then score whatever passes. Both work from
+ * the effective (landed) price described by `pricing`.
+ * @returns {{ranked: Array, removed: Array}}
+ */
+function rankCandidates(candidates, aiSentiments, profile, constraints, pricing = {}) {
+    const { passed, removed } = ScoringEngine.applyConstraints(candidates, constraints, pricing);
+    // In filter mode late items are already removed (or flagged, for the original)
+    const needBy = constraints.needByMode === 'penalize' ? constraints.needBy : null;
+    const ranked = ScoringEngine.scoreProducts(passed,
+        Object.keys(aiSentiments).length > 0 ? aiSentiments : null,
+        { weights: profile.weights, subscribeSave: !!pricing.subscribeSave, offerConditions: pricing.offerConditions, needBy }
+    );
+    return { ranked, removed };
+}
+
+// ─── Constraints ───────────────────────────────────────────
+
+async function getConstraints() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(['constraints'], (data) => {
+            resolve(ScoringEngine.normalizeConstraints(data.constraints));
+        });
+    });
+}
+
+// ─── Pricing Options ───────────────────────────────────────
+
+async function getPricingOptions() {
+    const { conditions } = await getOtherSellersSettings();
+    return new Promise(resolve => {
+        chrome.storage.local.get(['subscribeSave'], (data) => {
+            resolve({ subscribeSave: !!data.subscribeSave, offerConditions: conditions });
+        });
+    });
+}
+
+// ─── Other Sellers ─────────────────────────────────────────
+
+// Candidates (besides the original) whose offer listings are checked
+const OTHER_SELLER_CANDIDATES = 3;
+
+async function getOtherSellersSettings() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(['otherSellers'], (data) => {
+            const settings = data.otherSellers || {};
+            resolve({
+                enabled: !!settings.enabled,
+                conditions: ScoringEngine.normalizeOfferConditions(settings.conditions),
+            });
+        });
+    });
+}
+
+/**
+ * Have the content script load the "Other sellers on Amazon" listing of
+ * each product. Offers change by the minute, so they aren't cached.
+ * @returns {Promise<Object<string, Array>>} offers by ASIN
+ */
+async function fetchOffers(products, tabId, run = {}) {
+    if (!tabId || typeof tabId !== 'number') return {};
+
+    return untilAborted(new Promise((resolve, reject) => {
+        try {
+            chrome.tabs.sendMessage(tabId, { action: 'fetchOffers', products, runId: run.id }, (res) => {
+                if (chrome.runtime.lastError) {
+                    console.warn('[BG] Content script fetchOffers failed:', chrome.runtime.lastError.message);
+                    resolve({});
+                } else if (res?.verificationRequired) {
+                    reject(verificationError(res.verificationUrl));
+                } else {
+                    resolve(res?.offers || {});
+                }
+            });
+        } catch (err) {
+            console.warn('[BG] tabs.sendMessage sync error during offer fetch:', err.message);
+            resolve({});
+        }
+    }), run.signal);
+}
+
+// ─── Cross-Marketplace Comparison ──────────────────────────
+
+// Candidates (besides the original) looked up on other storefronts
+const CROSS_MARKETPLACE_CANDIDATES = 2;
+
+async function getCrossMarketplaceSettings() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(['crossMarketplace', 'exchangeRates'], (data) => {
+            const settings = data.crossMarketplace || {};
+            resolve({
+                enabled: !!settings.enabled,
+                domains: (settings.domains || []).filter(d => MarketplaceRegistry.isSupportedHost(d)),
+                rates: MoneyEngine.normalizeExchangeRates(data.exchangeRates),
+            });
+        });
+    });
+}
+
+/**
+ * Look the original ASIN and the top candidates up on the other configured
+ * storefronts and rank every offer (including this storefront's) by landed
+ * price in the original product's currency.
+ * @returns {Promise<object|null>} { currency, offers, cheapest } or null when
+ *   there is nothing to compare
+ */
+async function compareStorefronts(product, ranked, settings, tabId, run = {}) {
+    const home = MarketplaceRegistry.getMarketplace(product.marketplace);
+    const domains = settings.domains.filter(d => d !== home.domain);
+    if (domains.length === 0 || !product.asin) return null;
+
+    const products = [
+        ranked.find(p => p.isOriginal) || product,
+        ...ranked.filter(p => !p.isOriginal && !p.constraintViolations).slice(0, CROSS_MARKETPLACE_CANDIDATES),
+    ];
+
+    const offers = products.map(p => ({
+        asin: p.asin,
+        title: p.title,
+        marketplace: home.domain,
+        marketplaceName: home.name,
+        price: p.price,
+        currency: p.currency || home.currency,
+        shippingCost: p.shipping?.cost ?? null,
+        url: p.url,
+        isHome: true,
+    }));
+
+    // One storefront at a time to stay polite
+    for (const p of products) {
+        for (const domain of domains) {
+            const offer = await fetchStorefrontOffer(p, MarketplaceRegistry.getMarketplace(domain), tabId, run);
+            if (offer) offers.push(offer);
+        }
+    }
+
+    const currency = product.currency || home.currency;
+    const compared = MoneyEngine.compareOffers(offers, currency, settings.rates);
+    const original = compared.filter(o => o.asin === product.asin);
+    return {
+        currency,
+        offers: compared,
+        cheapest: original[0] || null,
+        home: original.find(o => o.isHome) || null,
+    };
+}
+
+/**
+ * Have the content script load a product page from another storefront
+ * through its fetch scheduler and read the price and shipping. A robot
+ * check stops the run like any other page load.
+ * @returns {Promise<object|null>}
+ */
+async function fetchStorefrontOffer(product, marketplace, tabId, run = {}) {
+    if (!tabId || typeof tabId !== 'number') return null;
+
+    const offer = await untilAborted(new Promise((resolve, reject) => {
+        try {
+            chrome.tabs.sendMessage(tabId, { action: 'fetchStorefrontOffer', asin: product.asin, marketplace: marketplace.domain, runId: run.id }, (res) => {
+                if (chrome.runtime.lastError) {
+                    console.warn('[BG] Storefront lookup failed:', marketplace.domain, chrome.runtime.lastError.message);
+                    resolve(null);
+                } else if (res?.verificationRequired) {
+                    reject(verificationError(res.verificationUrl));
+                } else {
+                    resolve(res?.offer || null);
+                }
+            });
+        } catch (err) {
+            console.warn('[BG] tabs.sendMessage sync error during storefront lookup:', err.message);
+            resolve(null);
+        }
+    }), run.signal);
+    if (!offer || offer.price === null) return null;
+
+    return {
+        asin: product.asin,
+        title: product.title,
+        marketplace: marketplace.domain,
+        marketplaceName: marketplace.name,
+        price: offer.price,
+        currency: offer.currency,
+        shippingCost: offer.shippingCost,
+        url: MarketplaceRegistry.buildProductUrl(marketplace, product.asin),
+        isHome: false,
+    };
+}
+
+// ─── Price History ─────────────────────────────────────────
+
+/**
+ * Record observed prices in IndexedDB. History is a nice-to-have, so
+ * failures are logged and never break an optimization.
+ */
+async function recordPriceHistory(products) {
+    try {
+        await PriceHistory.recordPrices(products);
+    } catch (e) {
+        console.warn('[BG] Failed to record price history:', e.message);
+    }
+}
+
+async function getPriceHistory(products) {
+    try {
+        const summaries = await PriceHistory.getSummaries(products);
+        PriceHistory.pruneHistory().catch(e => console.warn('[BG] Price history pruning failed:', e.message));
+        return summaries;
+    } catch (e) {
+        console.warn('[BG] Failed to read price history:', e.message);
+        return {};
+    }
+}
+
+// ─── Watchlist ─────────────────────────────────────────────
+
+const WATCH_ALARM = 'watchlist-check';
+const OFFSCREEN_PATH = 'offscreen.html';
+
+function scheduleWatchChecks() {
+    chrome.alarms.get(WATCH_ALARM, (alarm) => {
+        if (!alarm) {
+            chrome.alarms.create(WATCH_ALARM, {
+                delayInMinutes: 1,
+                periodInMinutes: Watchlist.WATCH_CHECK_MINUTES,
+            });
+        }
+    });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== WATCH_ALARM) return;
+    checkWatchlist().catch(err => console.error('[BG] Watchlist check failed:', err));
+});
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+    if (!notificationId.startsWith('watch|')) return;
+    const id = notificationId.split('|')[1];
+    const item = (await Watchlist.getWatchlist()).find(i => i.id === id);
+    if (item) {
+        chrome.tabs.create({ url: item.url || MarketplaceRegistry.buildProductUrl(MarketplaceRegistry.getMarketplace(item.marketplace), item.asin) });
+    }
+    chrome.notifications.clear(notificationId);
+});
+
+/**
+ * Re-fetch every watched product, one at a time, and notify on price
+ * drops below target and on restocks.
+ */
+async function checkWatchlist() {
+    if (isCheckingWatchlist) return;
+    const items = await Watchlist.getWatchlist();
+    if (items.length === 0) return;
+
+    isCheckingWatchlist = true;
+    try {
+        const pricing = await getPricingOptions();
+        for (const item of items) {
+            let product;
+            try {
+                product = await fetchWatchedProduct(item);
+            } catch (err) {
+                if (!isVerificationError(err)) throw err;
+                // Every further request would get the check too; try again on the next alarm
+                console.warn('[BG] Amazon is asking for verification; watchlist check stopped');
+                break;
+            }
+            if (!product) {
+                await Watchlist.updateWatch(item.id, { lastChecked: Date.now() });
+                continue;
+            }
+
+            await recordPriceHistory([product]);
+            const { patch, alerts } = Watchlist.evaluateWatch(item, {
+                price: ScoringEngine.calculateEffectivePrice(product, pricing),
+                inStock: product.inStock,
+            });
+            await Watchlist.updateWatch(item.id, patch);
+            alerts.forEach(alert => notifyWatch(item, alert));
+        }
+    } finally {
+        isCheckingWatchlist = false;
+        chrome.offscreen.closeDocument().catch(() => { });
+    }
+}
+
+/**
+ * Fetch a watched product page and parse it with the content script's
+ * parseProductHTML, running in an offscreen document.
+ * @returns {Promise<object|null>}
+ * @throws VerificationRequired when Amazon serves its robot check
+ */
+async function fetchWatchedProduct(item) {
+    const marketplace = MarketplaceRegistry.getMarketplace(item.marketplace);
+    const url = MarketplaceRegistry.buildProductUrl(marketplace, item.asin);
+    try {
+        const response = await fetch(url, { credentials: 'include', headers: { 'Accept': 'text/html' } });
+        if (!response.ok) return null;
+        const html = await response.text();
+
+        await ensureOffscreenDocument();
+        const res = await chrome.runtime.sendMessage({
+            action: 'parseProductPage',
+            html,
+            product: { asin: item.asin, title: item.title, marketplace: marketplace.domain, price: null },
+        });
+        if (res?.verificationRequired) throw verificationError(url);
+        const product = res?.product;
+        if (!product) return null;
+        // Out-of-stock pages carry no price of their own
+        if (product.inStock === false) product.price = null;
+        return { ...product, currency: item.currency };
+    } catch (e) {
+        if (isVerificationError(e)) throw e;
+        console.warn('[BG] Watchlist fetch failed for', item.asin, e.message);
+        return null;
+    }
+}
+
+async function ensureOffscreenDocument() {
+    if (await chrome.offscreen.hasDocument()) return;
+    await chrome.offscreen.createDocument({
+        url: OFFSCREEN_PATH,
+        reasons: ['DOM_PARSER'],
+        justification: 'Parse Amazon product pages for watchlist price checks',
+    });
+}
+
+function notifyWatch(item, alert) {
+    const { title, message } = Watchlist.describeAlert(item, alert);
+    chrome.notifications.create(`watch|${item.id}|${Date.now()}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title,
+        message,
+    });
+}
+
+// ─── Relevance Settings ────────────────────────────────────
+
+async function getRelevanceSettings() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(['relevanceThreshold', 'relevanceMode', 'relevanceAICheck', 'sponsoredMode'], (data) => {
+            resolve({
+                threshold: typeof data.relevanceThreshold === 'number'
+                    ? data.relevanceThreshold
+                    : RelevanceEngine.DEFAULT_RELEVANCE_THRESHOLD,
+                mode: data.relevanceMode || 'drop',
+                aiCheck: !!data.relevanceAICheck,
+                sponsoredMode: data.sponsoredMode || 'downweight',
+            });
+        });
+    });
+}
+
+// ─── Discovery Settings ────────────────────────────────────
+
+const MAX_SEARCH_QUERIES = 4;
+const MAX_SEARCH_PAGES = 2;
+
+async function getDiscoverySettings() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(['searchQueries', 'searchPages'], (data) => {
+            const clamp = (value, fallback, max) => (Number.isInteger(value) ? Math.min(Math.max(value, 1), max) : fallback);
+            resolve({
+                queries: clamp(data.searchQueries, 3, MAX_SEARCH_QUERIES),
+                pages: clamp(data.searchPages, 1, MAX_SEARCH_PAGES),
+            });
+        });
+    });
+}
+
 // ─── Build Results Object ──────────────────────────────────
 
-function buildResults(originalProduct, ranked, reviewAnalyses, aiSentiments, decisionReview, aiUsed) {
+function buildResults(originalProduct, ranked, reviewAnalyses, aiSentiments, decisionReview, aiUsed, context = {}) {
     return {
         originalProduct,
         products: ranked.map(p => ({
             title: p.title,
             price: p.price,
+            currency: p.currency || MoneyEngine.DEFAULT_CURRENCY,
+            effectivePrice: p.effectivePrice,
+            priceAdjustments: p.priceAdjustments || [],
+            pricing: p.pricing || null,
+            bestOffer: p.bestOffer || null,
+            offerCount: Array.isArray(p.offers) ? p.offers.length : null,
             unitPrice: p.unitPrice,
+            unitLabel: p.unitLabel,
+            unitCount: p.unitCount,
             quantity: p.quantity,
+            measure: p.measure,
             rating: p.rating,
+            ratingAdjusted: p.ratingAdjusted,
             reviewCount: p.reviewCount,
             shipping: p.shipping,
             imageUrl: p.imageUrl,
             url: p.url,
             asin: p.asin,
+            marketplace: p.marketplace || MarketplaceRegistry.DEFAULT_MARKETPLACE,
             score: p.score,
             breakdown: p.breakdown,
             isBestValue: p.isBestValue || false,
             isOriginal: p.isOriginal || false,
+            isVariant: p.isVariant || false,
+            variantLabel: p.variantLabel || null,
+            lowRelevance: p.lowRelevance || false,
+            sponsored: p.sponsored || false,
+            lateDelivery: p.lateDelivery || false,
+            brand: p.brand || null,
+            constraintViolations: p.constraintViolations || null,
             reviewAnalysis: reviewAnalyses[p.asin] || null,
+            priceHistory: context.priceHistory?.[p.asin] || null,
         })),
+        excluded: (context.excluded || []).map(p => ({
+            title: p.title,
+            price: p.price,
+            currency: p.currency || MoneyEngine.DEFAULT_CURRENCY,
+            imageUrl: p.imageUrl,
+            url: p.url,
+            asin: p.asin,
+            relevance: p.relevance,
+            reasons: p.reasons,
+            action: p.action,
+        })),
+        filteredOut: (context.removed || []).map(p => ({
+            title: p.title,
+            price: p.price,
+            currency: p.currency || MoneyEngine.DEFAULT_CURRENCY,
+            imageUrl: p.imageUrl,
+            url: p.url,
+            asin: p.asin,
+            violations: p.constraintViolations,
+        })),
+        constraints: context.constraints || { ...ScoringEngine.DEFAULT_CONSTRAINTS },
+        pricing: context.pricing || { subscribeSave: false },
+        storefronts: context.storefronts || null,
+        priceHistory: context.priceHistory || {},
         decisionReview,
         aiUsed,
+        profileId: context.profile?.id || ScoringEngine.DEFAULT_PROFILE_ID,
+        // Kept so the popup can switch profiles without searching again
+        candidates: context.candidates || [],
+        aiSentiments,
+        reviewAnalyses,
         timestamp: Date.now(),
     };
 }
 
 // ─── Amazon Search ─────────────────────────────────────────
 
-async function searchAmazon(query, excludeAsin, tabId) {
+/**
+ * Run every discovery query (up to `pages` result pages each), then merge
+ * the results: ranked by relevance to the original, one listing per ASIN
+ * and parent ASIN.
+ * @param {string[]} queries
+ * @param {object} original
+ * @param {number} tabId
+ * @param {object} run
+ * @param {number} [pages]
+ * @returns {Promise<Array>}
+ */
+async function discoverCandidates(queries, original, tabId, run, pages = 1) {
+    // Queries run side by side; the content script's fetch scheduler paces them
+    const perQuery = await Promise.all(queries.map(async query => {
+        const found = [];
+        for (let page = 1; page <= pages; page++) {
+            const results = await searchAmazon(query, original, tabId, run, page);
+            found.push(...results);
+            if (results.length === 0) break;
+        }
+        return found;
+    }));
+    const merged = perQuery.flat();
+    return RelevanceEngine.dedupeCandidates(RelevanceEngine.rankByRelevance(original, merged));
+}
+
+/**
+ * Search the original product's storefront, reusing cached results for
+ * the same query and page unless the run is a refresh.
+ * @param {string} query
+ * @param {object} original - The product being optimized (excluded from results)
+ * @param {number} tabId
+ * @param {{id: string, signal: AbortSignal, refresh: boolean}} [run]
+ * @param {number} [page] - 1-based results page
+ */
+async function searchAmazon(query, original, tabId, run = {}, page = 1) {
     if (!tabId || typeof tabId !== 'number') {
         console.warn('[BG] Invalid or missing tabId, cannot perform Amazon search');
         return [];
     }
 
-    return new Promise(resolve => {
+    const marketplace = original.marketplace || MarketplaceRegistry.DEFAULT_MARKETPLACE;
+    const cacheKey = `${marketplace}|${original.asin}|${ResultCache.normalizeQuery(query)}|${page}`;
+    if (!run.refresh) {
+        const cached = await readCache('search', cacheKey);
+        if (cached) {
+            console.log('[BG] Using cached search results for:', query);
+            return cached;
+        }
+    }
+
+    const results = await untilAborted(new Promise((resolve, reject) => {
         try {
-            chrome.tabs.sendMessage(tabId, { action: 'performSearch', query, excludeAsin }, (res) => {
+            chrome.tabs.sendMessage(tabId, { action: 'performSearch', query, page, excludeAsin: original.asin, runId: run.id }, (res) => {
                 if (chrome.runtime.lastError) {
                     console.warn('[BG] Content script performSearch failed:', chrome.runtime.lastError.message);
                     resolve([]);
+                } else if (res?.verificationRequired) {
+                    reject(verificationError(res.verificationUrl));
                 } else {
                     resolve(res?.results || []);
                 }
@@ -202,30 +1312,125 @@ async function searchAmazon(query, excludeAsin, tabId) {
             console.warn('[BG] tabs.sendMessage sync error during search:', err.message);
             resolve([]);
         }
+    }), run.signal);
+
+    if (results.length > 0) await writeCache('search', cacheKey, results);
+    return results;
+}
+
+/**
+ * Amazon served its robot check instead of a page. The run stops rather
+ * than ranking unparsed products; err.url is the page that was blocked.
+ */
+function verificationError(url) {
+    const err = new Error('Amazon is asking for verification');
+    err.name = 'VerificationRequired';
+    err.url = url || null;
+    return err;
+}
+
+function isVerificationError(err) {
+    return err?.name === 'VerificationRequired';
+}
+
+/**
+ * Settle with the promise, or reject with the signal's reason as soon as
+ * it aborts — content script replies can take a while to come back.
+ */
+function untilAborted(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
     });
 }
 
 // ─── Fetch Product Details ─────────────────────────────────
 
-async function fetchProductDetails(products, tabId) {
+/**
+ * Enrich search results from their product pages. Pages parsed recently
+ * come from the cache (unless the run is a refresh); only the rest are fetched.
+ */
+async function fetchProductDetails(products, tabId, run = {}) {
     if (!tabId || typeof tabId !== 'number') {
         console.warn(`[BG] Invalid tabId, cannot fetch details for ${products.length} products`);
         return products;
     }
 
-    return new Promise(resolve => {
+    const cached = new Map();
+    if (!run.refresh) {
+        for (const p of products) {
+            const details = await readCache('details', detailsCacheKey(p));
+            if (details) cached.set(p.asin, applyCachedDetails(p, details));
+        }
+    }
+    const missing = products.filter(p => !cached.has(p.asin));
+    if (cached.size > 0) console.log('[BG] Using cached details for', cached.size, 'products');
+
+    const fetched = missing.length === 0 ? [] : await untilAborted(new Promise((resolve, reject) => {
         try {
-            chrome.tabs.sendMessage(tabId, { action: 'fetchProductDetails', products }, (res) => {
+            chrome.tabs.sendMessage(tabId, { action: 'fetchProductDetails', products: missing, runId: run.id }, (res) => {
                 if (chrome.runtime.lastError) {
                     console.warn(`[BG] Content script fetchProductDetails failed:`, chrome.runtime.lastError.message);
-                    resolve(products);
+                    resolve(missing);
+                } else if (res?.verificationRequired) {
+                    reject(verificationError(res.verificationUrl));
                 } else {
-                    resolve(res?.products || products);
+                    resolve(res?.products || missing);
                 }
             });
         } catch (err) {
             console.warn(`[BG] tabs.sendMessage sync error during detail fetch:`, err.message);
-            resolve(products);
+            resolve(missing);
         }
+    }), run.signal);
+
+    for (const p of fetched) {
+        // A page that failed to load comes back as the bare search result, without reviewTexts
+        if (Array.isArray(p.reviewTexts)) await writeCache('details', detailsCacheKey(p), p);
+    }
+
+    const fetchedByAsin = new Map(fetched.map(p => [p.asin, p]));
+    return products.map(p => cached.get(p.asin) || fetchedByAsin.get(p.asin)).filter(Boolean);
+}
+
+// ─── Result Cache ──────────────────────────────────────────
+
+// What a product page adds to a search result. A cache hit lays these over
+// the fresh search result, so price and rating stay current.
+const DETAIL_FIELDS = ['shipping', 'pricing', 'category', 'brand', 'parentAsin', 'reviewTexts', 'inStock'];
+
+function detailsCacheKey(product) {
+    return `${product.marketplace || MarketplaceRegistry.DEFAULT_MARKETPLACE}|${product.asin}`;
+}
+
+function applyCachedDetails(product, details) {
+    const merged = { ...product, price: product.price || details.price };
+    DETAIL_FIELDS.forEach(field => {
+        if (details[field] !== undefined) merged[field] = details[field];
     });
+    return merged;
+}
+
+/**
+ * Cache reads and writes never break an optimization; on failure the
+ * data is simply fetched again.
+ */
+async function readCache(namespace, key) {
+    try {
+        return await ResultCache.getCached(namespace, key);
+    } catch (e) {
+        console.warn('[BG] Cache read failed:', e.message);
+        return null;
+    }
+}
+
+async function writeCache(namespace, key, value) {
+    try {
+        await ResultCache.setCached(namespace, key, value);
+    } catch (e) {
+        console.warn('[BG] Cache write failed:', e.message);
+    }
 }
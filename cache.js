@@ -0,0 +1,210 @@
+// ============================================================
+// cache.js — Result & AI Response Cache
+// Search results, parsed product details and AI answers kept in
+// chrome.storage.local with a per-kind TTL, so re-optimizing a
+// product doesn't repeat page loads and Gemini calls. Used by the
+// background worker and AI layer; settings shows stats and clears it.
+// ============================================================
+
+const CACHE_PREFIX = 'cache:';
+const CACHE_NAMESPACES = ['search', 'details', 'ai'];
+
+// Hours each kind of entry stays fresh; 0 turns caching off for that kind
+const DEFAULT_CACHE_TTLS = {
+    search: 6,
+    details: 24,
+    ai: 168,
+};
+
+const CACHE_HOUR_MS = 60 * 60 * 1000;
+
+// Most entries kept per kind, newest first. chrome.storage.local is shared
+// with settings, the watchlist and history, so the cache must not fill it.
+const MAX_CACHE_ENTRIES = {
+    search: 100,
+    details: 250,
+    ai: 250,
+};
+
+// ─── Keys ────────────────────────────────────────────────────
+
+/**
+ * Search query as a cache key: case and spacing don't matter.
+ * @param {string} query
+ * @returns {string}
+ */
+function normalizeQuery(query) {
+    return String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * SHA-256 of a string as hex, for keying AI prompts.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function storageKey(namespace, key) {
+    return `${CACHE_PREFIX}${namespace}:${key}`;
+}
+
+// ─── Freshness ───────────────────────────────────────────────
+
+/**
+ * Merge stored TTLs over the defaults, dropping invalid values.
+ * @param {object} raw - { search, details, ai } in hours
+ * @returns {object}
+ */
+function normalizeCacheTtls(raw = {}) {
+    const ttls = { ...DEFAULT_CACHE_TTLS };
+    Object.entries(raw || {}).forEach(([namespace, value]) => {
+        const hours = parseFloat(value);
+        if (namespace in ttls && isFinite(hours) && hours >= 0) ttls[namespace] = hours;
+    });
+    return ttls;
+}
+
+/**
+ * Whether a stored entry is still usable.
+ * @param {object} entry - { storedAt, value }
+ * @param {number} ttlHours
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isFresh(entry, ttlHours, now = Date.now()) {
+    if (!entry || !(ttlHours > 0)) return false;
+    return now - entry.storedAt < ttlHours * CACHE_HOUR_MS;
+}
+
+/**
+ * Keys of entries to drop: expired ones, and the oldest of each kind
+ * beyond its entry cap.
+ * @param {Array<{key: string, namespace: string, entry: object}>} entries
+ * @param {object} ttls - Result of normalizeCacheTtls
+ * @param {number} [now]
+ * @param {object} [limits] - namespace → max entries
+ * @returns {string[]}
+ */
+function selectEvictions(entries, ttls, now = Date.now(), limits = MAX_CACHE_ENTRIES) {
+    const evicted = [];
+    const kept = {};
+    entries.forEach(item => {
+        if (!isFresh(item.entry, ttls[item.namespace], now)) evicted.push(item.key);
+        else (kept[item.namespace] = kept[item.namespace] || []).push(item);
+    });
+    Object.entries(kept).forEach(([namespace, items]) => {
+        const limit = limits[namespace];
+        if (!(limit >= 0) || items.length <= limit) return;
+        items.sort((a, b) => b.entry.storedAt - a.entry.storedAt)
+            .slice(limit)
+            .forEach(({ key }) => evicted.push(key));
+    });
+    return evicted;
+}
+
+// ─── Reading & Writing ───────────────────────────────────────
+
+function getStored(keys) {
+    return new Promise(resolve => chrome.storage.local.get(keys, resolve));
+}
+
+/**
+ * A cached value, or null when missing, expired or caching is off.
+ * @param {string} namespace - 'search', 'details' or 'ai'
+ * @param {string} key
+ * @returns {Promise<*>}
+ */
+async function getCached(namespace, key) {
+    const k = storageKey(namespace, key);
+    const data = await getStored([k, 'cacheTtls']);
+    const ttls = normalizeCacheTtls(data.cacheTtls);
+    return isFresh(data[k], ttls[namespace]) ? data[k].value : null;
+}
+
+/**
+ * Store a value. Skipped when caching is off for the namespace.
+ * @param {string} namespace
+ * @param {string} key
+ * @param {*} value
+ * @throws when storage refuses the write (e.g. quota); the cache is pruned
+ *   first so later writes have room
+ */
+async function setCached(namespace, key, value) {
+    const ttls = normalizeCacheTtls((await getStored(['cacheTtls'])).cacheTtls);
+    if (!(ttls[namespace] > 0)) return;
+    const error = await new Promise(resolve => {
+        chrome.storage.local.set({ [storageKey(namespace, key)]: { storedAt: Date.now(), value } }, () => {
+            resolve(chrome.runtime.lastError || null);
+        });
+    });
+    if (error) {
+        await pruneCache();
+        throw new Error(`Cache write failed: ${error.message}`);
+    }
+}
+
+async function getCacheEntries() {
+    const all = await getStored(null);
+    return Object.entries(all)
+        .filter(([key]) => key.startsWith(CACHE_PREFIX))
+        .map(([key, entry]) => ({ key, namespace: key.slice(CACHE_PREFIX.length).split(':')[0], entry }));
+}
+
+/**
+ * Remove expired entries and the oldest past each kind's cap.
+ * @param {number} [now]
+ * @returns {Promise<number>} entries removed
+ */
+async function pruneCache(now = Date.now()) {
+    const ttls = normalizeCacheTtls((await getStored(['cacheTtls'])).cacheTtls);
+    const evicted = selectEvictions(await getCacheEntries(), ttls, now);
+    if (evicted.length > 0) {
+        await new Promise(resolve => chrome.storage.local.remove(evicted, resolve));
+    }
+    return evicted.length;
+}
+
+/**
+ * Entry count and approximate size per namespace.
+ * @returns {Promise<object>} namespace → { entries, bytes }
+ */
+async function getCacheStats() {
+    const stats = {};
+    CACHE_NAMESPACES.forEach(namespace => { stats[namespace] = { entries: 0, bytes: 0 }; });
+    (await getCacheEntries()).forEach(({ key, namespace, entry }) => {
+        if (!stats[namespace]) return;
+        stats[namespace].entries++;
+        stats[namespace].bytes += key.length + JSON.stringify(entry).length;
+    });
+    return stats;
+}
+
+async function clearCache() {
+    const keys = (await getCacheEntries()).map(({ key }) => key);
+    if (keys.length > 0) {
+        await new Promise(resolve => chrome.storage.local.remove(keys, resolve));
+    }
+}
+
+// ─── Export ──────────────────────────────────────────────────
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.ResultCache = {
+        normalizeQuery,
+        hashText,
+        normalizeCacheTtls,
+        isFresh,
+        selectEvictions,
+        getCached,
+        setCached,
+        pruneCache,
+        getCacheStats,
+        clearCache,
+        CACHE_NAMESPACES,
+        DEFAULT_CACHE_TTLS,
+        MAX_CACHE_ENTRIES,
+    };
+}
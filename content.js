@@ -1,6 +1,9 @@
 // ============================================================
 // content.js — Content Script for Amazon Product Pages
 // Injects the "Optimize" button and extracts product data.
+// Also loaded by offscreen.html, where it parses pages the
+// background worker fetches for watchlist checks, and on search
+// result pages ahead of search-page.js.
 // ============================================================
 
 (function () {
@@ -9,6 +12,10 @@
     // Prevent double injection
     if (document.getElementById('amz-optimizer-btn')) return;
 
+    // This storefront's locale, currency and selector overrides (see marketplaces.js)
+    const MARKETPLACE = MarketplaceRegistry.getMarketplace(window.location.hostname);
+    const { locale: PAGE_LOCALE, currency: PAGE_CURRENCY } = MARKETPLACE;
+
     // ─── DOM Selectors ───────────────────────────────────────
 
     const SELECTORS = {
@@ -44,6 +51,54 @@
             '#cm-cr-dp-review-list .review-text-content span',
             '[data-hook="review-body"] span',
         ],
+        breadcrumb: '#wayfinding-breadcrumbs_feature_div ul li a, #wayfinding-breadcrumbs_container ul li a',
+        brand: '#bylineInfo',
+        listPrice: [
+            '#corePriceDisplay_desktop_feature_div .basisPrice .a-offscreen',
+            '#corePrice_feature_div .a-text-price .a-offscreen',
+            '#priceblock_listprice',
+        ],
+        coupon: [
+            '#couponBadgeRegularVpc',
+            '#promoPriceBlockMessage_feature_div',
+            '#vpcButton',
+            '.couponLabelText',
+        ],
+        subscribeSave: [
+            '#snsAccordionRowMiddle',
+            '#sns-base-price',
+            '#snsBuyBoxAccordionRow',
+        ],
+        deal: '#dealBadge_feature_div, #dealBadgeSupportingText',
+        availability: ['#availability', '#outOfStock'],
+        addToCart: '#add-to-cart-button, #buy-now-button',
+        // Variation picker ("twister"): classic swatches and the newer inline rows
+        twister: {
+            swatch: '#twister li[data-defaultasin], #twister li[data-dp-url], [id^="inline-twister-row"] li[data-asin], #tp-inline-twister-dim-values-container li[data-asin]',
+            price: ['.twisterSwatchPrice', '.a-price .a-offscreen', '.a-color-price'],
+            label: '.swatch-title-text, .swatch-title-text-display, .a-button-text .a-size-base, .twisterTextDiv p',
+            selected: '.swatchSelect, .a-button-selected, [aria-checked="true"]',
+            unavailable: '.swatchUnavailable, .unavailable, [data-initiallyunavailable="true"]',
+        },
+        // "Other sellers on Amazon" offer drawer (aodAjaxMain fragment)
+        offers: {
+            offer: '#aod-pinned-offer, #aod-offer',
+            price: ['.a-price .a-offscreen', '.a-price-whole'],
+            condition: ['#aod-offer-heading h5', '#aod-offer-heading'],
+            seller: ['#aod-offer-soldBy a', '#aod-offer-soldBy .a-col-right .a-size-small'],
+            sellerRating: '#aod-offer-seller-rating',
+            shipsFrom: ['#aod-offer-shipsFrom .a-col-right .a-size-small', '#aod-offer-shipsFrom .a-col-right'],
+            deliveryPrice: '[data-csa-c-delivery-price]',
+        },
+        searchCard: {
+            delivery: '[data-cy="delivery-recipe"]',
+            coupon: '.s-coupon-unclipped, [data-component-type="s-coupon-component"]',
+            listPrice: '.a-price.a-text-price .a-offscreen',
+            card: '[data-component-type="s-search-result"]',
+            deal: '.a-badge-text',
+            // Ad label, ad markup or the ad click-tracking link — the label text itself is localized
+            sponsored: '.puis-sponsored-label-text, .s-sponsored-label-text, [data-component-type="sp-sponsored-result"], a[href*="/sspa/click"]',
+        },
         asin: () => {
             // Try multiple methods to get ASIN
             const urlMatch = window.location.pathname.match(/\/dp\/([A-Z0-9]{10})/);
@@ -56,8 +111,291 @@
         },
     };
 
+    // Storefront overrides: lists are tried before the defaults, the rest replace them
+    Object.entries(MARKETPLACE.selectors).forEach(([key, value]) => {
+        SELECTORS[key] = Array.isArray(value) && Array.isArray(SELECTORS[key])
+            ? [...value, ...SELECTORS[key]]
+            : value;
+    });
+
+    // ─── Text Parsers ────────────────────────────────────────
+
+    /**
+     * First price in a string, in this storefront's number format
+     * ("$1,299.99" → 1299.99, "1.299,99 €" → 1299.99).
+     * @param {string} text
+     * @param {string} [locale] - Number format of another storefront's page
+     * @returns {number|null}
+     */
+    function parsePrice(text, locale = PAGE_LOCALE) {
+        return MoneyEngine.parseMoney(text, locale);
+    }
+
+    /**
+     * Star rating from "4.5 out of 5 stars", "4,5 von 5 Sternen" or
+     * "5つ星のうち4.5".
+     * @param {string} text
+     * @returns {number|null}
+     */
+    function parseRating(text) {
+        const numbers = (text || '').split(/[^\d.,]+/)
+            .map(t => MoneyEngine.parseNumber(t, PAGE_LOCALE))
+            .filter(n => n !== null);
+        // The scale comes first in Japanese
+        const rating = numbers.length > 1 && numbers[0] === 5 ? numbers[1] : numbers[0];
+        return rating > 0 && rating <= 5 ? rating : null;
+    }
+
+    // An amount with its currency symbol before or after: "$5.99", "3,99 €"
+    const MONEY_TOKEN = '(?:[$€£¥￥]\\s*\\d[\\d.,\\s]*|\\d[\\d.,\\s]*[€£])';
+
+    // "delivery"/"shipping" on the storefronts we may fetch pages from
+    const SHIPPING_WORDS = 'delivery|shipping|versand|lieferung|livraison|envío|spedizione|verzending|frakt|leverans|配送料|送料';
+
+    /**
+     * Shipping fee from delivery text: "FREE delivery" → 0,
+     * "$5.99 delivery Oct 22" / "$23.45 Shipping & Import Fees" → the amount,
+     * otherwise null.
+     * @param {string} text
+     * @param {string} [locale]
+     * @returns {number|null}
+     */
+    function parseShippingCost(text, locale = PAGE_LOCALE) {
+        if (!text) return null;
+        if (/free\s+(delivery|shipping)/i.test(text)) return 0;
+        const match = text.match(new RegExp(`(${MONEY_TOKEN})\\s*(?:${SHIPPING_WORDS})`, 'i'));
+        return match ? parsePrice(match[1], locale) : null;
+    }
+
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+    const DELIVERY_RANGE_REGEX = new RegExp(
+        `\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:\\s*[-–]\\s*(?:${MONTH_PATTERN}\\s+)?(\\d{1,2}))?`, 'i');
+
+    /**
+     * Delivery estimate from delivery text: "Arrives Tue, Oct 22",
+     * "FREE delivery Oct 28 - Nov 3", "Get it Oct 28 - 31", "delivery Tomorrow".
+     * Only the first estimate is used (the standard one, before "fastest delivery").
+     * Dates without a year roll into next year when they'd be in the past.
+     * @param {string} text
+     * @param {Date} [now]
+     * @returns {{earliest: number, latest: number}|null} local midnights as epoch ms
+     */
+    function parseDeliveryRange(text, now = new Date()) {
+        if (!text) return null;
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const inDays = n => new Date(today.getFullYear(), today.getMonth(), today.getDate() + n).getTime();
+
+        const match = text.match(DELIVERY_RANGE_REGEX);
+        const relative = text.match(/\b(today|tomorrow|overnight)\b/i);
+        if (relative && (!match || relative.index < match.index)) {
+            const offset = relative[1].toLowerCase() === 'today' ? 0 : 1;
+            return { earliest: inDays(offset), latest: inDays(offset) };
+        }
+        if (!match) return null;
+
+        // A date before `notBefore` is taken to be next year's
+        const toDate = (monthName, day, notBefore) => {
+            const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+            const date = new Date(today.getFullYear(), month, day).getTime();
+            return date < notBefore ? new Date(today.getFullYear() + 1, month, day).getTime() : date;
+        };
+
+        const earliest = toDate(match[1], parseInt(match[2], 10), inDays(-60));
+        if (!match[4]) return { earliest, latest: earliest };
+        return { earliest, latest: toDate(match[3] || match[1], parseInt(match[4], 10), earliest) };
+    }
+
+    /**
+     * Coupon from badge text: "Apply $2.00 coupon", "Save 15% with coupon".
+     * @param {string} text
+     * @returns {{type: string, value: number}|null}
+     */
+    function parseCoupon(text) {
+        if (!text || !/coupon/i.test(text)) return null;
+        const pct = text.match(/(\d+(?:\.\d+)?)\s*%/);
+        if (pct) return { type: 'percent', value: parseFloat(pct[1]) };
+        const amount = text.match(new RegExp(MONEY_TOKEN));
+        if (amount) return { type: 'amount', value: parsePrice(amount[0]) };
+        return null;
+    }
+
+    /**
+     * Subscribe & Save discount: "Save 15% with Subscribe & Save" → 15.
+     * @param {string} text
+     * @returns {number|null}
+     */
+    function parseSubscribeSave(text) {
+        if (!text || !/subscribe/i.test(text)) return null;
+        const near = text.match(/(\d+(?:\.\d+)?)\s*%[^%]{0,30}subscribe/i);
+        if (near) return parseFloat(near[1]);
+        // Short widget text may put the percentage after the label
+        const pct = text.length < 120 && text.match(/(\d+(?:\.\d+)?)\s*%/);
+        return pct ? parseFloat(pct[1]) : null;
+    }
+
+    // "Currently unavailable" in each storefront language
+    const OUT_OF_STOCK_WORDS = [
+        'currently unavailable', 'out of stock',
+        'nicht verfügbar', 'nicht auf lager',
+        'indisponible', 'rupture de stock',
+        'no disponible', 'agotado',
+        'non disponibile', 'niet beschikbaar',
+        'inte i lager', 'tillfälligt slut',
+        '在庫切れ', '取り扱いできません',
+    ];
+
     // ─── Data Extraction ─────────────────────────────────────
 
+    function firstText(root, selectors) {
+        for (const sel of selectors) {
+            const el = root.querySelector(sel);
+            if (el && el.textContent.trim()) return el.textContent.trim();
+        }
+        return '';
+    }
+
+    /**
+     * Prime / free shipping status and any shipping fee on a product page.
+     * @param {Document} root
+     * @param {string} [locale]
+     * @returns {{isPrime: boolean, isFree: boolean, cost: number|null, delivery: object|null}}
+     */
+    function extractShipping(root, locale = PAGE_LOCALE) {
+        const shipping = { isPrime: false, isFree: false, cost: null, delivery: null };
+        for (const sel of SELECTORS.primeBadge) {
+            if (root.querySelector(sel)) {
+                shipping.isPrime = true;
+                shipping.isFree = true;
+                shipping.cost = 0;
+                break;
+            }
+        }
+        const text = firstText(root, SELECTORS.shipping);
+        shipping.delivery = parseDeliveryRange(text);
+        if (!shipping.isPrime) {
+            if (text) {
+                if (text.toLowerCase().includes('free')) {
+                    shipping.isFree = true;
+                }
+                shipping.cost = shipping.isFree ? 0 : parseShippingCost(text, locale);
+            }
+        }
+        return shipping;
+    }
+
+    /**
+     * Discounts and reference prices on a product page: the struck-through
+     * list price, clippable coupon, Subscribe & Save discount and deal badge.
+     * @param {Document} root
+     * @returns {{listPrice: number|null, coupon: object|null, subscribeSavePercent: number|null, dealLabel: string|null}}
+     */
+    function extractPricing(root) {
+        const dealEl = root.querySelector(SELECTORS.deal);
+        return {
+            listPrice: parsePrice(firstText(root, SELECTORS.listPrice)),
+            coupon: parseCoupon(firstText(root, SELECTORS.coupon)),
+            subscribeSavePercent: parseSubscribeSave(firstText(root, SELECTORS.subscribeSave)),
+            dealLabel: dealEl ? dealEl.textContent.trim().split('\n')[0].trim() || null : null,
+        };
+    }
+
+    /**
+     * Whether a product page can be bought right now.
+     * @param {Document} root
+     * @returns {boolean|null} null when the page doesn't say
+     */
+    function extractAvailability(root) {
+        const text = firstText(root, SELECTORS.availability).toLowerCase();
+        if (OUT_OF_STOCK_WORDS.some(w => text.includes(w))) return false;
+        if (root.querySelector(SELECTORS.addToCart)) return true;
+        return null;
+    }
+
+    /**
+     * Category breadcrumb trail, root first (e.g. ["Health & Household", "Batteries"]).
+     * @param {Document} root
+     * @returns {string[]}
+     */
+    function extractCategory(root) {
+        return Array.from(root.querySelectorAll(SELECTORS.breadcrumb))
+            .map(el => el.textContent.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Brand from the byline ("Visit the Energizer Store", "Brand: Energizer").
+     * @param {Document} root
+     * @returns {string|null}
+     */
+    function extractBrand(root) {
+        const el = root.querySelector(SELECTORS.brand);
+        if (!el) return null;
+        const text = el.textContent.trim();
+        const store = text.match(/visit the (.+?) store/i);
+        if (store) return store[1].trim();
+        const label = text.match(/brand:\s*(.+)/i);
+        if (label) return label[1].trim();
+        return text || null;
+    }
+
+    // Product pages embed their variation family in the twister data
+    function extractParentAsin(html) {
+        const match = String(html).match(/"parentAsin"\s*:\s*"([A-Z0-9]{10})"/);
+        return match ? match[1] : null;
+    }
+
+    // Other sizes, pack counts, colours... of this product, with the price
+    // the picker shows for each. Labels come from the twister's page data
+    // when present ("48 Count"), else from the swatch text.
+    const MAX_VARIATIONS = 12;
+
+    function extractVariations(root) {
+        const scripts = Array.from(root.querySelectorAll('script:not([src])'), el => el.textContent).join('\n');
+        let labels = {};
+        const match = scripts.match(/"dimensionValuesDisplayData"\s*:\s*(\{[^{}]*\})/);
+        if (match) {
+            try {
+                labels = JSON.parse(match[1]);
+            } catch (e) {
+                // Fall back to the swatch text
+            }
+        }
+
+        let current = null;
+        const variations = [];
+        const seen = new Set();
+        root.querySelectorAll(SELECTORS.twister.swatch).forEach(el => {
+            const asin = el.getAttribute('data-defaultasin') || el.getAttribute('data-asin')
+                || el.getAttribute('data-dp-url')?.match(/\/dp\/([A-Z0-9]{10})/)?.[1];
+            if (!asin || seen.has(asin)) return;
+            seen.add(asin);
+
+            const label = el.querySelector(SELECTORS.twister.label)?.textContent.trim();
+            const values = Array.isArray(labels[asin]) ? labels[asin] : [label].filter(Boolean);
+            if (el.matches(SELECTORS.twister.selected) || el.querySelector(SELECTORS.twister.selected)) {
+                current = values;
+                return;
+            }
+            if (el.matches(SELECTORS.twister.unavailable)) return;
+
+            const priceText = firstText(el, SELECTORS.twister.price);
+            const price = priceText ? parsePrice(priceText) : null;
+            if (price === null || values.length === 0) return;
+            variations.push({
+                asin,
+                values,
+                price,
+                currency: MoneyEngine.detectCurrency(priceText, PAGE_CURRENCY),
+                url: MarketplaceRegistry.buildProductUrl(MARKETPLACE, asin),
+            });
+        });
+
+        return variations.length > 0
+            ? { current: current || [], options: variations.slice(0, MAX_VARIATIONS) }
+            : null;
+    }
+
     function extractProductData() {
         // Title
         const titleEl = document.querySelector(SELECTORS.title);
@@ -65,13 +403,13 @@
 
         // Price
         let price = null;
+        let currency = PAGE_CURRENCY;
         for (const sel of SELECTORS.price) {
             const el = document.querySelector(sel);
             if (el) {
-                const text = el.textContent.trim();
-                const match = text.match(/[\d,]+\.?\d*/);
-                if (match) {
-                    price = parseFloat(match[0].replace(/,/g, ''));
+                price = parsePrice(el.textContent.trim());
+                if (price !== null) {
+                    currency = MoneyEngine.detectCurrency(el.textContent, PAGE_CURRENCY);
                     break;
                 }
             }
@@ -81,39 +419,19 @@
         let rating = null;
         const ratingEl = document.querySelector(SELECTORS.rating);
         if (ratingEl) {
-            const match = ratingEl.textContent.match(/([\d.]+)\s*out\s*of\s*5/);
-            if (match) rating = parseFloat(match[1]);
+            rating = parseRating(ratingEl.textContent);
         }
 
         // Review count
         let reviewCount = 0;
         const reviewEl = document.querySelector(SELECTORS.reviewCount);
         if (reviewEl) {
-            const match = reviewEl.textContent.match(/([\d,]+)/);
-            if (match) reviewCount = parseInt(match[1].replace(/,/g, ''), 10);
+            reviewCount = Math.round(MoneyEngine.parseNumber(reviewEl.textContent, PAGE_LOCALE) || 0);
         }
 
-        // Shipping / Prime
-        let shipping = { isPrime: false, isFree: false, cost: null };
-        for (const sel of SELECTORS.primeBadge) {
-            if (document.querySelector(sel)) {
-                shipping.isPrime = true;
-                shipping.isFree = true;
-                break;
-            }
-        }
-        if (!shipping.isPrime) {
-            for (const sel of SELECTORS.shipping) {
-                const el = document.querySelector(sel);
-                if (el) {
-                    const text = el.textContent.toLowerCase();
-                    if (text.includes('free')) {
-                        shipping.isFree = true;
-                    }
-                    break;
-                }
-            }
-        }
+        // Shipping / Prime, coupons, Subscribe & Save
+        const shipping = extractShipping(document);
+        const pricing = extractPricing(document);
 
         // Image
         const imgEl = document.querySelector(SELECTORS.image);
@@ -135,28 +453,41 @@
         return {
             title,
             price,
+            currency,
             rating,
             reviewCount,
             shipping,
+            pricing,
             imageUrl,
             asin,
             url: window.location.href,
+            marketplace: MARKETPLACE.domain,
+            brand: extractBrand(document),
+            variations: extractVariations(document),
+            category: extractCategory(document),
             reviewTexts,
         };
     }
 
     // ─── Inject Optimize Button ──────────────────────────────
 
-    function injectButton() {
-        let container = null;
+    // The button, once injected; kept so it can be put back when Amazon
+    // re-renders the buy box
+    let button = null;
+    // Comparison panel under the button (panel.js); null where it isn't loaded
+    let panel = null;
+
+    function findButtonContainer() {
         for (const sel of SELECTORS.buyBox) {
-            container = document.querySelector(sel);
-            if (container) break;
-        }
-        if (!container) {
-            // Fallback: inject after title
-            container = document.querySelector(SELECTORS.title)?.parentElement;
+            const container = document.querySelector(sel);
+            if (container) return container;
         }
+        // Fallback: inject after title
+        return document.querySelector(SELECTORS.title)?.parentElement || null;
+    }
+
+    function injectButton() {
+        const container = findButtonContainer();
         if (!container) return;
 
         const btn = document.createElement('button');
@@ -167,20 +498,38 @@
     `;
         btn.title = 'Find better deals for this product';
 
-        btn.addEventListener('click', handleOptimize);
+        btn.addEventListener('click', () => {
+            if (isLoading()) cancelOptimize();
+            else handleOptimize();
+        });
 
         // Insert at the top of the container
         container.insertBefore(btn, container.firstChild);
+        button = btn;
+
+        panel = globalThis.ComparisonPanel?.createComparisonPanel(btn, SELECTORS.asin()) || null;
+    }
+
+    function placeButton() {
+        if (!button) {
+            injectButton();
+            return;
+        }
+        const container = findButtonContainer();
+        if (!container) return;
+        container.insertBefore(button, container.firstChild);
+        panel?.moveTo(button);
     }
 
     // ─── Loading State ───────────────────────────────────────
 
+    // While a run is going the button cancels it
     function showLoading() {
         const btn = document.getElementById('amz-optimizer-btn');
         if (btn) {
-            btn.disabled = true;
             btn.classList.add('amz-opt-loading');
-            btn.querySelector('.amz-opt-text').textContent = 'Optimizing...';
+            btn.querySelector('.amz-opt-text').textContent = 'Optimizing... (click to cancel)';
+            btn.title = 'Cancel this optimization';
         }
     }
 
@@ -190,15 +539,22 @@
             btn.disabled = false;
             btn.classList.remove('amz-opt-loading');
             btn.querySelector('.amz-opt-text').textContent = 'Optimize';
+            btn.title = 'Find better deals for this product';
         }
     }
 
+    function isLoading() {
+        return !!document.getElementById('amz-optimizer-btn')?.classList.contains('amz-opt-loading');
+    }
+
     // ─── Handle Optimize Click ───────────────────────────────
 
     async function handleOptimize() {
         showLoading();
 
         try {
+            // Mid variant switch, the buy box holds a mix of old and new data
+            await pageSettled();
             const productData = extractProductData();
 
             if (!productData.title) {
@@ -207,12 +563,18 @@
                 return;
             }
 
-            // Send to background script for processing
+            // Send to background script for processing; the panel follows the run
+            panel?.show();
             chrome.runtime.sendMessage(
                 { action: 'optimize', product: productData },
                 (response) => {
                     hideLoading();
-                    if (response?.error) {
+                    if (panel) return;
+                    if (response?.cancelled) {
+                        showNotification(`${response.reason || 'Optimization cancelled'}.`, 'info');
+                    } else if (response?.verificationRequired) {
+                        showNotification('Amazon is asking for verification. Complete the check on Amazon, then optimize again.', 'error');
+                    } else if (response?.error) {
                         showNotification(response.error, 'error');
                     } else if (response?.success) {
                         showNotification('Optimization complete! Click the ⚡ extension icon in your toolbar to see the best deals.', 'success');
@@ -226,6 +588,86 @@
         }
     }
 
+    function cancelOptimize() {
+        const btn = document.getElementById('amz-optimizer-btn');
+        if (btn) {
+            btn.disabled = true;
+            btn.querySelector('.amz-opt-text').textContent = 'Cancelling...';
+        }
+        chrome.runtime.sendMessage({ action: 'cancelOptimize' });
+    }
+
+    // ─── Variant Switches & In-page Navigation ───────────────
+    //
+    // Picking another size or color swaps the ASIN, price and parts of the
+    // buy box without a page load; some links navigate with pushState. Once
+    // the page settles the button goes back if the buy box was re-rendered,
+    // and a new ASIN cancels the previous product's run and resets the panel.
+
+    const PAGE_SETTLE_MS = 500;
+    // Pages that keep changing are still checked this often
+    const PAGE_SETTLE_MAX_MS = 3000;
+
+    // Page areas whose changes may mean another variant
+    const WATCHED_AREAS = ['#centerCol', '#twister_feature_div', ...SELECTORS.buyBox].join(', ');
+    const OWN_NODES = '#amz-optimizer-btn, #amz-opt-panel-host';
+
+    let pageAsin = null;
+    let pageUrl = window.location.href;
+    let settleTimer = null;
+    let unsettledSince = 0;
+    const settleWaiters = [];
+
+    function isProductPage() {
+        return MarketplaceRegistry.isSupportedHost(window.location.hostname)
+            && /\/(?:dp|gp\/product)\//.test(window.location.pathname);
+    }
+
+    function watchPageChanges() {
+        pageAsin = SELECTORS.asin();
+        const observer = new MutationObserver(mutations => {
+            const navigated = window.location.href !== pageUrl;
+            pageUrl = window.location.href;
+            const relevant = navigated
+                || (button && !button.isConnected)
+                || mutations.some(m => m.target.closest?.(WATCHED_AREAS) && !m.target.closest(OWN_NODES));
+            if (relevant) schedulePageCheck();
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+        window.addEventListener('popstate', schedulePageCheck);
+    }
+
+    function schedulePageCheck() {
+        const now = Date.now();
+        if (!settleTimer) unsettledSince = now;
+        clearTimeout(settleTimer);
+        const delay = Math.min(PAGE_SETTLE_MS, Math.max(0, unsettledSince + PAGE_SETTLE_MAX_MS - now));
+        settleTimer = setTimeout(checkPage, delay);
+    }
+
+    function checkPage() {
+        settleTimer = null;
+        if (!button?.isConnected) placeButton();
+
+        const asin = SELECTORS.asin();
+        if (asin && asin !== pageAsin) {
+            const previousAsin = pageAsin;
+            pageAsin = asin;
+            chrome.runtime.sendMessage({ action: 'productChanged', asin, previousAsin }, () => void chrome.runtime.lastError);
+            panel?.setAsin(asin);
+        }
+        settleWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    /**
+     * Resolves once pending page changes have been checked.
+     * @returns {Promise<void>}
+     */
+    function pageSettled() {
+        if (!settleTimer) return Promise.resolve();
+        return new Promise(resolve => settleWaiters.push(resolve));
+    }
+
     // ─── In-page Notification ────────────────────────────────
 
     function showNotification(message, type = 'info') {
@@ -257,22 +699,72 @@
         }
         if (msg.action === 'optimizeStatus') {
             if (msg.status === 'loading') showLoading();
-            else hideLoading();
+            else {
+                hideLoading();
+                runControllers.delete(msg.runId);
+            }
+            return false;
+        }
+        if (msg.action === 'cancelRun') {
+            runControllers.get(msg.runId)?.abort();
+            runControllers.delete(msg.runId);
             return false;
         }
         if (msg.action === 'performSearch') {
-            performAmazonSearch(msg.query, msg.excludeAsin)
+            performAmazonSearch(msg.query, msg.excludeAsin, getRunSignal(msg.runId), msg.page)
                 .then(results => sendResponse({ results }))
                 .catch(err => {
+                    if (isVerificationError(err)) {
+                        sendResponse({ results: [], verificationRequired: true, verificationUrl: err.url });
+                        return;
+                    }
                     console.error('[Content] Search error:', err);
                     sendResponse({ results: [] });
                 });
             return true; // async
         }
+        if (msg.action === 'parseProductPage') {
+            if (isVerificationPage(msg.html)) {
+                sendResponse({ product: null, verificationRequired: true });
+                return false;
+            }
+            sendResponse({ product: parseProductHTML(msg.html, msg.product) });
+            return false;
+        }
+        if (msg.action === 'fetchStorefrontOffer') {
+            fetchStorefrontOffer(msg.asin, msg.marketplace, getRunSignal(msg.runId))
+                .then(offer => sendResponse({ offer }))
+                .catch(err => {
+                    if (isVerificationError(err)) {
+                        sendResponse({ offer: null, verificationRequired: true, verificationUrl: err.url });
+                        return;
+                    }
+                    console.warn('[Content] Storefront lookup failed:', msg.marketplace, err.message);
+                    sendResponse({ offer: null });
+                });
+            return true; // async
+        }
+        if (msg.action === 'fetchOffers') {
+            fetchAllOffers(msg.products, getRunSignal(msg.runId))
+                .then(offers => sendResponse({ offers }))
+                .catch(err => {
+                    if (isVerificationError(err)) {
+                        sendResponse({ offers: {}, verificationRequired: true, verificationUrl: err.url });
+                        return;
+                    }
+                    console.error('[Content] Fetch offers error:', err);
+                    sendResponse({ offers: {} });
+                });
+            return true; // async
+        }
         if (msg.action === 'fetchProductDetails') {
-            fetchAllProductDetails(msg.products)
+            fetchAllProductDetails(msg.products, getRunSignal(msg.runId))
                 .then(products => sendResponse({ products }))
                 .catch(err => {
+                    if (isVerificationError(err)) {
+                        sendResponse({ products: msg.products, verificationRequired: true, verificationUrl: err.url });
+                        return;
+                    }
                     console.error('[Content] Fetch details error:', err);
                     sendResponse({ products: msg.products });
                 });
@@ -282,45 +774,72 @@
 
     // ─── Fetch & Parse Helpers executing in Content Script ───
 
-    async function performAmazonSearch(query, excludeAsin) {
-        console.log('[Content] Searching for:', query);
-        const encoded = encodeURIComponent(query);
-        const url = `${window.location.origin}/s?k=${encoded}`;
+    // One AbortController per background run, so cancelling a run stops its fetches
+    const runControllers = new Map();
+
+    function getRunSignal(runId) {
+        if (!runId) return undefined;
+        if (!runControllers.has(runId)) {
+            runControllers.set(runId, new AbortController());
+            resetVerification();
+        }
+        return runControllers.get(runId).signal;
+    }
+
+    // ─── Polite Fetch Scheduler ──────────────────────────────
+
+    // Every Amazon page this script loads goes through one queue (fetch-scheduler.js)
+    const { isVerificationPage, verificationError, isVerificationError } = FetchScheduler;
+    const scheduler = FetchScheduler.createFetchScheduler();
+    const politeFetch = scheduler.fetch;
+    const resetVerification = scheduler.resetVerification;
+
+    async function performAmazonSearch(query, excludeAsin, signal, page = 1) {
+        console.log('[Content] Searching for:', query, page > 1 ? `(page ${page})` : '');
+        const url = MarketplaceRegistry.buildSearchUrl(MARKETPLACE, query, page);
 
         try {
-            const response = await fetch(url, { headers: { 'Accept': 'text/html' } });
-            if (!response.ok) {
-                console.warn('[Content] Amazon search returned status:', response.status);
+            const { ok, status, html } = await politeFetch(url, signal);
+            if (!ok) {
+                console.warn('[Content] Amazon search returned status:', status);
                 return [];
             }
-            const html = await response.text();
             const results = parseSearchResults(html, excludeAsin);
             console.log(`[Content] Found ${results.length} valid results.`);
             return results;
         } catch (e) {
+            if (isVerificationError(e)) throw e;
             console.error('[Content] performAmazonSearch failed:', e);
             return [];
         }
     }
 
-    async function fetchAllProductDetails(products) {
+    // Tell the background worker about each finished page so the popup can show "details k/N"
+    function reportDetailsProgress(done, total) {
+        chrome.runtime.sendMessage({ action: 'detailsProgress', done, total }, () => void chrome.runtime.lastError);
+    }
+
+    async function fetchAllProductDetails(products, signal, onProgress = reportDetailsProgress) {
+        let done = 0;
         const detailed = await Promise.allSettled(
-            products.map(p => fetchSingleProduct(p))
+            products.map(p => fetchSingleProduct(p, signal).finally(() => onProgress(++done, products.length)))
         );
+        // Don't hand back a mix of parsed and unparsed pages once Amazon blocks us
+        if (scheduler.verificationUrl) throw verificationError(scheduler.verificationUrl);
         return detailed
             .filter(r => r.status === 'fulfilled' && r.value)
             .map(r => r.value);
     }
 
-    async function fetchSingleProduct(product) {
+    async function fetchSingleProduct(product, signal) {
         try {
-            const url = product.url || `${window.location.origin}/dp/${product.asin}`;
-            const response = await fetch(url, { headers: { 'Accept': 'text/html' } });
-            if (!response.ok) return product;
+            const url = product.url || MarketplaceRegistry.buildProductUrl(MARKETPLACE, product.asin);
+            const { ok, html } = await politeFetch(url, signal);
+            if (!ok) return product;
 
-            const html = await response.text();
             return parseProductHTML(html, product);
         } catch (e) {
+            if (isVerificationError(e)) throw e;
             return product;
         }
     }
@@ -328,78 +847,246 @@
     function parseSearchResults(html, excludeAsin) {
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
-        const results = [];
-        const cards = doc.querySelectorAll('[data-component-type="s-search-result"]');
-
-        cards.forEach(card => {
-            const asin = card.getAttribute('data-asin');
-            if (!asin || asin === excludeAsin) return;
-
-            const titleEl = card.querySelector('h2 span, h2 a span, .a-text-normal, [data-cy="title-recipe"] span');
-            const title = titleEl ? titleEl.textContent.trim() : '';
-            if (!title) return;
-
-            const linkEl = card.querySelector('h2 a, a.a-link-normal[href*="/dp/"]');
-            const href = linkEl ? linkEl.getAttribute('href') : '';
-            const url = href ? (href.startsWith('http') ? href : `${window.location.origin}${href}`) : '';
-
-            let price = null;
-            const priceContainer = card.querySelector('.a-price');
-            if (priceContainer) {
-                const whole = priceContainer.querySelector('.a-price-whole');
-                const fraction = priceContainer.querySelector('.a-price-fraction');
-                if (whole && fraction) {
-                    const w = whole.textContent.replace(/[^0-9]/g, '');
-                    const f = fraction.textContent.replace(/[^0-9]/g, '');
-                    price = parseFloat(`${w}.${f}`);
-                } else {
-                    const offscreen = priceContainer.querySelector('.a-offscreen');
-                    if (offscreen && offscreen.textContent) {
-                        const match = offscreen.textContent.match(/[\d,]+\.?\d*/);
-                        if (match) price = parseFloat(match[0].replace(/,/g, ''));
-                    }
+        const cards = doc.querySelectorAll(SELECTORS.searchCard.card);
+        return Array.from(cards)
+            .filter(card => card.getAttribute('data-asin') !== excludeAsin)
+            .map(parseSearchCard)
+            .filter(r => r && r.price !== null);
+    }
+
+    /**
+     * One search result card. Also used on live search pages (search-page.js).
+     * @param {Element} card
+     * @returns {object|null} null for cards without an ASIN or title
+     */
+    function parseSearchCard(card) {
+        const asin = card.getAttribute('data-asin');
+        if (!asin) return null;
+
+        const titleEl = card.querySelector('h2 span, h2 a span, .a-text-normal, [data-cy="title-recipe"] span');
+        const title = titleEl ? titleEl.textContent.trim() : '';
+        if (!title) return null;
+
+        const linkEl = card.querySelector('h2 a, a.a-link-normal[href*="/dp/"]');
+        const href = linkEl ? linkEl.getAttribute('href') : '';
+        const url = href ? (href.startsWith('http') ? href : `${window.location.origin}${href}`) : '';
+
+        let price = null;
+        let currency = PAGE_CURRENCY;
+        const priceContainer = card.querySelector('.a-price');
+        if (priceContainer) {
+            currency = MoneyEngine.detectCurrency(priceContainer.textContent, PAGE_CURRENCY);
+            const whole = priceContainer.querySelector('.a-price-whole');
+            const fraction = priceContainer.querySelector('.a-price-fraction');
+            if (whole && fraction) {
+                const w = whole.textContent.replace(/[^0-9]/g, '');
+                const f = fraction.textContent.replace(/[^0-9]/g, '');
+                price = parseFloat(`${w}.${f}`);
+            } else {
+                const offscreen = priceContainer.querySelector('.a-offscreen');
+                if (offscreen && offscreen.textContent) {
+                    price = parsePrice(offscreen.textContent);
                 }
             }
+        }
+
+        let rating = null;
+        const ratingEl = card.querySelector('.a-icon-star-small .a-icon-alt, .a-icon-star .a-icon-alt');
+        if (ratingEl) {
+            rating = parseRating(ratingEl.textContent);
+        }
 
-            let rating = null;
-            const ratingEl = card.querySelector('.a-icon-star-small .a-icon-alt, .a-icon-star .a-icon-alt');
-            if (ratingEl) {
-                const match = ratingEl.textContent.match(/([\d.]+)/);
-                if (match) rating = parseFloat(match[1]);
+        let reviewCount = 0;
+        const reviewEl = card.querySelector('.a-size-base.s-underline-text, [aria-label*="stars"] + span');
+        if (reviewEl) {
+            reviewCount = Math.round(MoneyEngine.parseNumber(reviewEl.textContent, PAGE_LOCALE) || 0);
+        }
+
+        // Variations of one product share a parent ASIN; cards don't always carry it
+        const parentAsin = card.getAttribute('data-parent-asin') || null;
+
+        const imgEl = card.querySelector('.s-image');
+        const imageUrl = imgEl ? imgEl.getAttribute('src') : '';
+        const isPrime = !!card.querySelector('.a-icon-prime, .s-prime');
+
+        const deliveryEl = card.querySelector(SELECTORS.searchCard.delivery);
+        const shippingCost = isPrime ? 0 : parseShippingCost(deliveryEl?.textContent);
+        const couponEl = card.querySelector(SELECTORS.searchCard.coupon);
+        const listPriceEl = card.querySelector(SELECTORS.searchCard.listPrice);
+        const dealEl = card.querySelector(SELECTORS.searchCard.deal);
+        const sponsored = card.classList.contains('AdHolder') || !!card.querySelector(SELECTORS.searchCard.sponsored);
+
+        return {
+            asin, parentAsin, title, price, currency, rating, reviewCount, sponsored,
+            marketplace: MARKETPLACE.domain,
+            shipping: {
+                isPrime,
+                isFree: isPrime || shippingCost === 0,
+                cost: shippingCost,
+                delivery: parseDeliveryRange(deliveryEl?.textContent),
+            },
+            pricing: {
+                listPrice: parsePrice(listPriceEl?.textContent),
+                coupon: parseCoupon(couponEl?.textContent),
+                subscribeSavePercent: parseSubscribeSave(card.textContent),
+                dealLabel: dealEl && /deal/i.test(dealEl.textContent) ? dealEl.textContent.trim() : null,
+            },
+            imageUrl, url,
+        };
+    }
+
+    /**
+     * Load a product page from another storefront through the scheduler
+     * and read its offer.
+     * @param {string} asin
+     * @param {string} domain - e.g. 'amazon.de'
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<object|null>} See parseStorefrontOffer; null when the page didn't load
+     * @throws VerificationRequired once Amazon serves a robot check
+     */
+    async function fetchStorefrontOffer(asin, domain, signal) {
+        const url = MarketplaceRegistry.buildProductUrl(MarketplaceRegistry.getMarketplace(domain), asin);
+        const { ok, html } = await politeFetch(url, signal);
+        return ok ? parseStorefrontOffer(html, domain) : null;
+    }
+
+    /**
+     * Price and shipping of a product page from another storefront.
+     * @param {string} html
+     * @param {string} domain - e.g. 'amazon.de'
+     * @returns {{price: number|null, currency: string, shippingCost: number|null, isPrime: boolean}}
+     */
+    function parseStorefrontOffer(html, domain) {
+        const marketplace = MarketplaceRegistry.getMarketplace(domain);
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+
+        let price = null;
+        let currency = marketplace.currency;
+        for (const sel of SELECTORS.price) {
+            const el = doc.querySelector(sel);
+            price = el ? parsePrice(el.textContent, marketplace.locale) : null;
+            if (price !== null) {
+                currency = MoneyEngine.detectCurrency(el.textContent, marketplace.currency);
+                break;
             }
+        }
 
-            let reviewCount = 0;
-            const reviewEl = card.querySelector('.a-size-base.s-underline-text, [aria-label*="stars"] + span');
-            if (reviewEl) {
-                const match = reviewEl.textContent.match(/([\d,]+)/);
-                if (match) reviewCount = parseInt(match[1].replace(/,/g, ''), 10);
+        const shipping = extractShipping(doc, marketplace.locale);
+        return { price, currency, shippingCost: shipping.cost, isPrime: shipping.isPrime };
+    }
+
+    // Most specific first: "Used - Like New" names both used and new
+    const OFFER_CONDITION_PATTERNS = [
+        ['renewed', /renewed|refurbished|reconditionn|generalüberholt|ricondizionat|reacondicionad|整備済み/i],
+        ['used', /used|gebraucht|occasion|usato|usado|中古/i],
+        ['new', /new|neu|neuf|nuevo|nuovo|新品/i],
+    ];
+    const MAX_OFFERS = 10;
+
+    /**
+     * Offers from the "Other sellers on Amazon" listing, buy box first.
+     * @param {string} html
+     * @param {string} [locale]
+     * @returns {Array<{price: number, currency: string, shippingCost: number|null, isPrime: boolean,
+     *   condition: string, conditionLabel: string, seller: string|null, sellerRating: number|null,
+     *   sellerRatingCount: number|null, fulfilledByAmazon: boolean}>}
+     */
+    function parseOfferListing(html, locale = PAGE_LOCALE) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const sel = SELECTORS.offers;
+        // The pinned (buy box) offer may wrap the same markup as the list entries
+        const found = Array.from(doc.querySelectorAll(sel.offer));
+        const offerEls = found.filter(el => !found.some(other => other !== el && other.contains(el)));
+
+        const offers = [];
+        offerEls.forEach(el => {
+            const priceText = firstText(el, sel.price);
+            const price = priceText ? parsePrice(priceText, locale) : null;
+            const conditionLabel = (firstText(el, sel.condition) || '').replace(/\s+/g, ' ').trim();
+            const condition = OFFER_CONDITION_PATTERNS.find(([, re]) => re.test(conditionLabel))?.[0];
+            if (price === null || !condition) return;
+
+            const shipping = extractShipping(el, locale);
+            const deliveryPrice = el.querySelector(sel.deliveryPrice)?.getAttribute('data-csa-c-delivery-price');
+            if (deliveryPrice) {
+                shipping.cost = /free|gratuit|gratis|kostenlos/i.test(deliveryPrice) ? 0 : parsePrice(deliveryPrice, locale);
             }
 
-            const imgEl = card.querySelector('.s-image');
-            const imageUrl = imgEl ? imgEl.getAttribute('src') : '';
-            const isPrime = !!card.querySelector('.a-icon-prime, .s-prime');
+            const ratingText = el.querySelector(sel.sellerRating)?.textContent || '';
+            const positive = ratingText.match(/(\d{1,3})\s*%/);
+            const count = ratingText.match(/\(([\d.,\s]+)/);
+            const seller = firstText(el, sel.seller);
+            const shipsFrom = firstText(el, sel.shipsFrom) || '';
 
-            results.push({
-                asin, title, price, rating, reviewCount,
-                shipping: { isPrime, isFree: isPrime, cost: null },
-                imageUrl, url,
+            offers.push({
+                price,
+                currency: MoneyEngine.detectCurrency(priceText, PAGE_CURRENCY),
+                shippingCost: shipping.isPrime ? 0 : shipping.cost,
+                isPrime: shipping.isPrime,
+                condition,
+                conditionLabel,
+                seller: seller ? seller.trim() : null,
+                sellerRating: positive ? parseInt(positive[1], 10) : null,
+                sellerRatingCount: count ? parseInt(count[1].replace(/\D/g, ''), 10) || null : null,
+                fulfilledByAmazon: /amazon/i.test(shipsFrom) || /^amazon/i.test(seller || ''),
             });
         });
-        return results.filter(r => r.price !== null).slice(0, 12);
+        return offers.slice(0, MAX_OFFERS);
+    }
+
+    /**
+     * Fetch and parse the offer listing of each product.
+     * @returns {Promise<Object<string, Array>>} offers by ASIN; listings that
+     *   failed to load are left out
+     */
+    async function fetchAllOffers(products, signal) {
+        const listings = await Promise.allSettled(products.map(async p => {
+            const { ok, html } = await politeFetch(MarketplaceRegistry.buildOfferListingUrl(MARKETPLACE, p.asin), signal);
+            return ok ? [p.asin, parseOfferListing(html)] : null;
+        }));
+        if (scheduler.verificationUrl) throw verificationError(scheduler.verificationUrl);
+        return Object.fromEntries(listings
+            .filter(r => r.status === 'fulfilled' && r.value)
+            .map(r => r.value));
     }
 
     function parseProductHTML(html, baseProduct) {
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
         const enriched = { ...baseProduct };
+        // Pages fetched for the watchlist may come from any storefront
+        const { locale } = baseProduct.marketplace
+            ? MarketplaceRegistry.getMarketplace(baseProduct.marketplace)
+            : MARKETPLACE;
 
         if (!enriched.price) {
             const priceEl = doc.querySelector('.a-price .a-offscreen, #priceblock_ourprice');
-            if (priceEl) {
-                const match = priceEl.textContent.match(/[\d,]+\.?\d*/);
-                if (match) enriched.price = parseFloat(match[0].replace(/,/g, ''));
-            }
+            if (priceEl) enriched.price = parsePrice(priceEl.textContent, locale);
+        }
+
+        const inStock = extractAvailability(doc);
+        if (inStock !== null) enriched.inStock = inStock;
+
+        // Detail pages show fees and discounts the search card may not
+        const shipping = extractShipping(doc, locale);
+        if (!shipping.delivery) delete shipping.delivery;
+        if (shipping.isPrime || shipping.cost !== null || shipping.delivery) {
+            enriched.shipping = { ...enriched.shipping, ...shipping };
         }
+        const pricing = extractPricing(doc);
+        enriched.pricing = { ...(baseProduct.pricing || {}) };
+        Object.entries(pricing).forEach(([key, value]) => {
+            if (value !== null) enriched.pricing[key] = value;
+        });
+
+        const category = extractCategory(doc);
+        if (category.length > 0) enriched.category = category;
+
+        const brand = extractBrand(doc);
+        if (brand) enriched.brand = brand;
+
+        const parentAsin = extractParentAsin(html);
+        if (parentAsin) enriched.parentAsin = parentAsin;
 
         enriched.reviewTexts = [];
         const reviewEls = doc.querySelectorAll('[data-hook="review-body"] span, #cm-cr-dp-review-list .review-text-content span');
@@ -415,5 +1102,16 @@
 
     // ─── Initialize ──────────────────────────────────────────
 
+    // search-page.js runs after this script on search result pages and
+    // reuses its card parser and scheduled detail fetching
+    globalThis.AmazonPage = {
+        parseSearchCard,
+        fetchProductDetails: fetchAllProductDetails,
+        isVerificationError,
+        resetVerification,
+        searchCardSelector: SELECTORS.searchCard.card,
+    };
+
     injectButton();
+    if (isProductPage()) watchPageChanges();
 })();
@@ -0,0 +1,153 @@
+// ============================================================
+// fetch-scheduler.js — Polite Amazon Page Loading
+// Queues the content script's page loads so Amazon sees a trickle,
+// not a burst, retries 503s with backoff and stops everything once
+// a robot check shows up. Loaded before content.js.
+// ============================================================
+
+// At most `concurrency` pages load at once, each after a jittered
+// pause; a 503 is retried with exponential backoff
+const DEFAULT_FETCH_OPTIONS = {
+    concurrency: 2,
+    delayMs: 300,
+    jitterMs: 700,
+    retries: 2,
+    backoffMs: 2000,
+};
+
+// Signs of Amazon's robot check ("Enter the characters you see below")
+const VERIFICATION_MARKERS = [
+    /\/errors\/validateCaptcha/i,
+    /id=["']captchacharacters["']/i,
+    /automated access to Amazon data/i,
+    /make sure you(?:'|&#39;|’)re not a robot/i,
+];
+
+// ─── Robot Check ─────────────────────────────────────────────
+
+function isVerificationPage(html) {
+    return VERIFICATION_MARKERS.some(re => re.test(html));
+}
+
+function verificationError(url) {
+    const err = new Error('Amazon is asking for verification');
+    err.name = 'VerificationRequired';
+    err.url = url;
+    return err;
+}
+
+function isVerificationError(err) {
+    return err?.name === 'VerificationRequired';
+}
+
+// ─── Scheduler ───────────────────────────────────────────────
+
+/**
+ * Wait, rejecting early with the signal's reason if it aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function waitFor(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        // A run's signal outlives many waits; drop the listener either way
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * A page loader sharing one queue and one robot-check flag.
+ * @param {object} [options] - Overrides of DEFAULT_FETCH_OPTIONS, plus
+ *   `fetch` and `random` for tests
+ * @returns {{fetch: function, resetVerification: function, verificationUrl: string|null}}
+ */
+function createFetchScheduler(options = {}) {
+    const { concurrency, delayMs, jitterMs, retries, backoffMs } = { ...DEFAULT_FETCH_OPTIONS, ...options };
+    const doFetch = options.fetch || ((url, init) => fetch(url, init));
+    const random = options.random || Math.random;
+
+    let active = 0;
+    const queue = [];
+    // Set once Amazon serves a robot check; every later fetch fails fast
+    let verificationUrl = null;
+
+    function acquireSlot() {
+        if (active < concurrency) {
+            active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => queue.push(resolve));
+    }
+
+    function releaseSlot() {
+        const next = queue.shift();
+        if (next) next();
+        else active--;
+    }
+
+    /**
+     * Fetch an Amazon page through the scheduler.
+     * @param {string} url
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<{ok: boolean, status: number, html: string}>}
+     * @throws VerificationRequired once Amazon serves a robot check
+     */
+    async function politeFetch(url, signal) {
+        await acquireSlot();
+        try {
+            for (let attempt = 0; ; attempt++) {
+                if (verificationUrl) throw verificationError(verificationUrl);
+                await waitFor(delayMs + random() * jitterMs, signal);
+
+                const response = await doFetch(url, { headers: { 'Accept': 'text/html' }, signal });
+                const html = await response.text();
+                if (isVerificationPage(html)) {
+                    verificationUrl = url;
+                    throw verificationError(url);
+                }
+                if (response.status === 503 && attempt < retries) {
+                    const backoff = backoffMs * 2 ** attempt;
+                    console.warn(`[Content] Amazon returned 503, retrying in ${backoff / 1000}s`);
+                    await waitFor(backoff, signal);
+                    continue;
+                }
+                return { ok: response.ok, status: response.status, html };
+            }
+        } finally {
+            releaseSlot();
+        }
+    }
+
+    return {
+        fetch: politeFetch,
+        // A new run or check gets to try again — the user may have solved the check meanwhile
+        resetVerification() {
+            verificationUrl = null;
+        },
+        get verificationUrl() {
+            return verificationUrl;
+        },
+    };
+}
+
+// ─── Export ──────────────────────────────────────────────────
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.FetchScheduler = {
+        createFetchScheduler,
+        isVerificationPage,
+        verificationError,
+        isVerificationError,
+        waitFor,
+        VERIFICATION_MARKERS,
+        DEFAULT_FETCH_OPTIONS,
+    };
+}
@@ -0,0 +1,272 @@
+// ============================================================
+// history.js — Local Price History (IndexedDB)
+// Every price we observe is kept per ASIN, storefront and day so
+// the popup can show trends and "lowest seen" hints. Used by the
+// background worker (recording) and settings (export / clear).
+// ============================================================
+
+const HISTORY_DB_NAME = 'amz-optimizer';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'prices';
+
+// Bounds: observations older than this are pruned, and the store never
+// grows past HISTORY_MAX_RECORDS rows (oldest dropped first)
+const HISTORY_MAX_DAYS = 180;
+const HISTORY_MAX_RECORDS = 20000;
+
+const HISTORY_DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Database ────────────────────────────────────────────────
+
+let historyDbPromise = null;
+
+function openHistoryDB() {
+    if (!historyDbPromise) {
+        historyDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                // One row per ASIN, storefront and day: id = "amazon.com:B00X:2026-10-19"
+                const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+                store.createIndex('product', ['marketplace', 'asin']);
+                store.createIndex('timestamp', 'timestamp');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                historyDbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return historyDbPromise;
+}
+
+// Resolve an IDBRequest / IDBTransaction as a Promise
+function requestDone(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function dayKey(timestamp) {
+    const d = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// ─── Recording ───────────────────────────────────────────────
+
+/**
+ * Record observed prices. Repeat sightings on the same day update that
+ * day's row (latest price plus the day's low and high).
+ * @param {Array} products - { asin, marketplace, price, currency }
+ * @param {number} [now]
+ * @returns {Promise<number>} rows written
+ */
+async function recordPrices(products, now = Date.now()) {
+    const observations = (products || []).filter(p => p && p.asin && p.price > 0);
+    if (observations.length === 0) return 0;
+
+    const db = await openHistoryDB();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    const store = tx.objectStore(HISTORY_STORE);
+    const day = dayKey(now);
+
+    for (const p of observations) {
+        const marketplace = p.marketplace || 'amazon.com';
+        const id = `${marketplace}:${p.asin}:${day}`;
+        const existing = await requestDone(store.get(id));
+        store.put({
+            id,
+            asin: p.asin,
+            marketplace,
+            currency: p.currency || null,
+            day,
+            price: p.price,
+            low: existing ? Math.min(existing.low, p.price) : p.price,
+            high: existing ? Math.max(existing.high, p.price) : p.price,
+            timestamp: now,
+        });
+    }
+
+    await transactionDone(tx);
+    return observations.length;
+}
+
+/**
+ * Drop rows older than HISTORY_MAX_DAYS, then the oldest rows beyond
+ * HISTORY_MAX_RECORDS.
+ * @param {number} [now]
+ * @returns {Promise<number>} rows deleted
+ */
+async function pruneHistory(now = Date.now()) {
+    const db = await openHistoryDB();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    const index = tx.objectStore(HISTORY_STORE).index('timestamp');
+    let deleted = 0;
+
+    const expired = IDBKeyRange.upperBound(now - HISTORY_MAX_DAYS * HISTORY_DAY_MS);
+    await new Promise((resolve, reject) => {
+        const cursorRequest = index.openCursor(expired);
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return resolve();
+            cursor.delete();
+            deleted++;
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+
+    let excess = (await requestDone(index.count())) - HISTORY_MAX_RECORDS;
+    if (excess > 0) {
+        await new Promise((resolve, reject) => {
+            const cursorRequest = index.openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || excess <= 0) return resolve();
+                cursor.delete();
+                deleted++;
+                excess--;
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    }
+
+    await transactionDone(tx);
+    return deleted;
+}
+
+// ─── Reading ─────────────────────────────────────────────────
+
+/**
+ * Daily price points for one product, oldest first.
+ * @param {string} asin
+ * @param {string} [marketplace]
+ * @returns {Promise<Array>}
+ */
+async function getHistory(asin, marketplace = 'amazon.com') {
+    const db = await openHistoryDB();
+    const tx = db.transaction(HISTORY_STORE, 'readonly');
+    const rows = await requestDone(tx.objectStore(HISTORY_STORE).index('product').getAll([marketplace, asin]));
+    return rows.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * History summaries for several products, keyed by ASIN.
+ * @param {Array} products - { asin, marketplace, price }
+ * @param {number} [now]
+ * @returns {Promise<Object>} ASIN → summarizeHistory() result with .points
+ */
+async function getSummaries(products, now = Date.now()) {
+    const summaries = {};
+    for (const p of products || []) {
+        if (!p || !p.asin || summaries[p.asin]) continue;
+        const rows = await getHistory(p.asin, p.marketplace || 'amazon.com');
+        summaries[p.asin] = summarizeHistory(rows, p.price, now);
+    }
+    return summaries;
+}
+
+/**
+ * Every stored row, for export.
+ * @returns {Promise<Array>}
+ */
+async function exportHistory() {
+    const db = await openHistoryDB();
+    const tx = db.transaction(HISTORY_STORE, 'readonly');
+    return requestDone(tx.objectStore(HISTORY_STORE).getAll());
+}
+
+/**
+ * Row and product counts.
+ * @returns {Promise<{records: number, products: number}>}
+ */
+async function getHistoryStats() {
+    const rows = await exportHistory();
+    return {
+        records: rows.length,
+        products: new Set(rows.map(r => `${r.marketplace}:${r.asin}`)).size,
+    };
+}
+
+async function clearHistory() {
+    const db = await openHistoryDB();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    tx.objectStore(HISTORY_STORE).clear();
+    await transactionDone(tx);
+}
+
+// ─── Analysis ────────────────────────────────────────────────
+
+// Share of the 90-day range above which the current price counts as high
+const WAIT_THRESHOLD = 0.75;
+
+/**
+ * Summarize a product's daily rows: 30/90-day low and high, whether the
+ * current price is the lowest seen, and a buy/wait hint once there are
+ * enough days to judge.
+ * @param {Array} rows - Daily rows { timestamp, price, low, high }
+ * @param {number} currentPrice
+ * @param {number} [now]
+ * @returns {object} { points, count, low30, high30, low90, high90, isLowest, hint }
+ *   where hint is 'buy', 'wait' or null
+ */
+function summarizeHistory(rows, currentPrice, now = Date.now()) {
+    const within = days => (rows || []).filter(r => r.timestamp >= now - days * HISTORY_DAY_MS);
+    const rows30 = within(30);
+    const rows90 = within(90);
+
+    const low = list => (list.length ? Math.min(...list.map(r => r.low ?? r.price)) : null);
+    const high = list => (list.length ? Math.max(...list.map(r => r.high ?? r.price)) : null);
+
+    const low90 = low(rows90);
+    const high90 = high(rows90);
+    const price = currentPrice > 0 ? currentPrice : null;
+
+    let hint = null;
+    if (price !== null && rows90.length >= 3 && high90 > low90) {
+        if (price <= low90 * 1.02) {
+            hint = 'buy';
+        } else if (price >= low90 + (high90 - low90) * WAIT_THRESHOLD && high90 >= low90 * 1.1) {
+            hint = 'wait';
+        }
+    }
+
+    return {
+        points: rows90.map(r => ({ t: r.timestamp, price: r.price })),
+        count: rows90.length,
+        low30: low(rows30),
+        high30: high(rows30),
+        low90,
+        high90,
+        isLowest: price !== null && low90 !== null && rows90.length >= 2 && price <= low90,
+        hint,
+    };
+}
+
+// ─── Export ──────────────────────────────────────────────────
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.PriceHistory = {
+        recordPrices,
+        pruneHistory,
+        getHistory,
+        getSummaries,
+        exportHistory,
+        getHistoryStats,
+        clearHistory,
+        summarizeHistory,
+        HISTORY_MAX_DAYS,
+        HISTORY_MAX_RECORDS,
+    };
+}
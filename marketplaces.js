@@ -0,0 +1,151 @@
+// ============================================================
+// marketplaces.js — Amazon Storefront Registry
+// One entry per storefront we shop on: locale, currency, title
+// language, product-page URL patterns and selector overrides.
+// Loaded before money.js everywhere (content script, worker,
+// popup, settings).
+// ============================================================
+
+const DEFAULT_MARKETPLACE = 'amazon.com';
+
+// Product page paths, shared by every storefront
+const PRODUCT_PATHS = ['/dp/*', '/gp/product/*', '/*/dp/*'];
+// Search result paths ("/s?k=…", "/s/ref=…")
+const SEARCH_PATHS = ['/s?*', '/s/*'];
+
+/**
+ * Supported storefronts. `selectors` overrides entries of the content
+ * script's SELECTORS table; array overrides are tried before the defaults.
+ */
+const MARKETPLACES = [
+    { domain: 'amazon.com', name: 'United States', locale: 'en-US', currency: 'USD', language: 'en' },
+    { domain: 'amazon.co.uk', name: 'United Kingdom', locale: 'en-GB', currency: 'GBP', language: 'en' },
+    { domain: 'amazon.ca', name: 'Canada', locale: 'en-CA', currency: 'CAD', language: 'en' },
+    { domain: 'amazon.com.au', name: 'Australia', locale: 'en-AU', currency: 'AUD', language: 'en' },
+    {
+        domain: 'amazon.in', name: 'India', locale: 'en-IN', currency: 'INR', language: 'en',
+        selectors: {
+            price: ['#corePriceDisplay_desktop_feature_div .a-price .a-offscreen'],
+        },
+    },
+    { domain: 'amazon.de', name: 'Germany', locale: 'de-DE', currency: 'EUR', language: 'de' },
+    { domain: 'amazon.fr', name: 'France', locale: 'fr-FR', currency: 'EUR', language: 'fr' },
+    { domain: 'amazon.es', name: 'Spain', locale: 'es-ES', currency: 'EUR', language: 'es' },
+    { domain: 'amazon.it', name: 'Italy', locale: 'it-IT', currency: 'EUR', language: 'it' },
+    { domain: 'amazon.nl', name: 'Netherlands', locale: 'nl-NL', currency: 'EUR', language: 'nl' },
+    { domain: 'amazon.se', name: 'Sweden', locale: 'sv-SE', currency: 'SEK', language: 'sv' },
+    { domain: 'amazon.com.mx', name: 'Mexico', locale: 'es-MX', currency: 'MXN', language: 'es' },
+    {
+        domain: 'amazon.co.jp', name: 'Japan', locale: 'ja-JP', currency: 'JPY', language: 'ja',
+        selectors: {
+            shipping: ['#ddmDeliveryMessage'],
+        },
+    },
+].map(m => ({
+    selectors: {},
+    origin: `https://www.${m.domain}`,
+    urlPatterns: PRODUCT_PATHS.map(path => `*://*.${m.domain}${path}`),
+    ...m,
+}));
+
+// ─── Lookup ──────────────────────────────────────────────────
+
+/**
+ * All supported storefronts.
+ * @returns {Array}
+ */
+function listMarketplaces() {
+    return MARKETPLACES.slice();
+}
+
+/**
+ * Storefront for a hostname or domain ("www.amazon.co.uk", "amazon.de").
+ * Longest domain wins, so amazon.com.au isn't mistaken for amazon.com.
+ * @param {string} hostname
+ * @returns {object} amazon.com's entry when unknown
+ */
+function getMarketplace(hostname) {
+    const host = String(hostname || '').toLowerCase();
+    const match = MARKETPLACES
+        .filter(m => host === m.domain || host.endsWith(`.${m.domain}`))
+        .sort((a, b) => b.domain.length - a.domain.length)[0];
+    return match || MARKETPLACES.find(m => m.domain === DEFAULT_MARKETPLACE);
+}
+
+/**
+ * Whether a hostname belongs to a supported storefront.
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isSupportedHost(hostname) {
+    const host = String(hostname || '').toLowerCase();
+    return MARKETPLACES.some(m => host === m.domain || host.endsWith(`.${m.domain}`));
+}
+
+// ─── URLs ────────────────────────────────────────────────────
+
+/**
+ * Match patterns for product pages on every storefront, for content
+ * script registration.
+ * @returns {string[]}
+ */
+function getProductPageMatches() {
+    return MARKETPLACES.flatMap(m => m.urlPatterns);
+}
+
+/**
+ * Match patterns for search result pages on every storefront.
+ * @returns {string[]}
+ */
+function getSearchPageMatches() {
+    return MARKETPLACES.flatMap(m => SEARCH_PATHS.map(path => `*://*.${m.domain}${path}`));
+}
+
+/**
+ * Search results URL on a storefront.
+ * @param {object} marketplace
+ * @param {string} query
+ * @param {number} [page] - 1-based results page
+ * @returns {string}
+ */
+function buildSearchUrl(marketplace, query, page = 1) {
+    const url = `${marketplace.origin}/s?k=${encodeURIComponent(query)}`;
+    return page > 1 ? `${url}&page=${page}` : url;
+}
+
+/**
+ * Product page URL on a storefront.
+ * @param {object} marketplace
+ * @param {string} asin
+ * @returns {string}
+ */
+function buildProductUrl(marketplace, asin) {
+    return `${marketplace.origin}/dp/${asin}`;
+}
+
+/**
+ * All offers for an ASIN ("Other sellers on Amazon"), as the HTML
+ * fragment the product page loads into its offer drawer.
+ * @param {object} marketplace
+ * @param {string} asin
+ * @returns {string}
+ */
+function buildOfferListingUrl(marketplace, asin) {
+    return `${marketplace.origin}/gp/product/ajax/?asin=${asin}&pc=dp&experienceId=aodAjaxMain`;
+}
+
+// ─── Export ──────────────────────────────────────────────────
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.MarketplaceRegistry = {
+        listMarketplaces,
+        getMarketplace,
+        isSupportedHost,
+        getProductPageMatches,
+        getSearchPageMatches,
+        buildSearchUrl,
+        buildProductUrl,
+        buildOfferListingUrl,
+        DEFAULT_MARKETPLACE,
+    };
+}
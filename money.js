@@ -0,0 +1,254 @@
+// ============================================================
+// money.js — Locale-aware Money Parsing & Formatting
+// Shared by the content script, background worker, popup and
+// settings so every price is parsed and shown the same way.
+// Depends on marketplaces.js (MarketplaceRegistry) for storefront locales.
+// ============================================================
+
+const DEFAULT_CURRENCY = 'USD';
+const DEFAULT_LOCALE = 'en-US';
+
+// Locale used to display a currency when no storefront locale is known
+const CURRENCY_LOCALES = {
+    USD: 'en-US',
+    GBP: 'en-GB',
+    EUR: 'de-DE',
+    JPY: 'ja-JP',
+    CAD: 'en-CA',
+    AUD: 'en-AU',
+    INR: 'en-IN',
+    SEK: 'sv-SE',
+    MXN: 'es-MX',
+};
+
+// Checked in order, so multi-character symbols come before "$"
+const CURRENCY_SYMBOLS = [
+    ['CDN$', 'CAD'],
+    ['CA$', 'CAD'],
+    ['US$', 'USD'],
+    ['AU$', 'AUD'],
+    ['A$', 'AUD'],
+    ['MX$', 'MXN'],
+    ['€', 'EUR'],
+    ['₹', 'INR'],
+    ['kr', 'SEK'],
+    ['£', 'GBP'],
+    ['￥', 'JPY'],
+    ['¥', 'JPY'],
+];
+
+// ─── Storefront Locale ───────────────────────────────────────
+
+/**
+ * Locale and currency for an Amazon hostname ("www.amazon.de").
+ * @param {string} hostname
+ * @returns {{locale: string, currency: string}} amazon.com's when unknown
+ */
+function getLocaleForHost(hostname) {
+    const { locale, currency } = MarketplaceRegistry.getMarketplace(hostname);
+    return { locale, currency };
+}
+
+// ─── Parsing ─────────────────────────────────────────────────
+
+const numberPatterns = {};
+
+/**
+ * Decimal and grouping separators of a locale, plus a regex matching one
+ * number written that way ("1.299,99" in de-DE, "1,299.99" in en-US).
+ * @param {string} locale
+ * @returns {{decimal: string, groups: string[], regex: RegExp}}
+ */
+function getNumberPattern(locale) {
+    if (numberPatterns[locale]) return numberPatterns[locale];
+
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    const decimal = parts.find(p => p.type === 'decimal')?.value || '.';
+    const group = parts.find(p => p.type === 'group')?.value || ',';
+    // Space-grouped locales (fr-FR) use several kinds of space interchangeably
+    const groups = /\s/.test(group) ? [' ', '\u00a0', '\u202f'] : [group];
+
+    const esc = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const groupClass = `[${groups.map(esc).join('')}]`;
+    // Indian grouping puts two digits between separators above the thousands ("1,29,999")
+    const integers = new Intl.NumberFormat(locale).formatToParts(1234567).filter(p => p.type === 'integer');
+    const twoDigitGroups = integers.slice(1, -1).some(p => p.value.length === 2);
+    const grouped = twoDigitGroups
+        ? `(?:(?:${groupClass}\\d{3})+|(?:${groupClass}\\d{2})*${groupClass}\\d{3})`
+        : `(?:${groupClass}\\d{3})+`;
+    const regex = new RegExp(
+        `\\d{1,3}${grouped}(?:${esc(decimal)}\\d+)?|\\d+(?:${esc(decimal)}\\d+)?`);
+
+    numberPatterns[locale] = { decimal, groups, regex };
+    return numberPatterns[locale];
+}
+
+/**
+ * First number in a string, read in the given locale's format:
+ * "1.299,99 €" (de-DE) → 1299.99, "4,5 von 5 Sternen" (de-DE) → 4.5.
+ * @param {string} text
+ * @param {string} [locale]
+ * @returns {number|null}
+ */
+function parseNumber(text, locale = DEFAULT_LOCALE) {
+    const { decimal, groups, regex } = getNumberPattern(locale);
+    const match = String(text || '').match(regex);
+    if (!match) return null;
+
+    let digits = match[0];
+    groups.forEach(g => { digits = digits.split(g).join(''); });
+    const value = parseFloat(digits.replace(decimal, '.'));
+    return isFinite(value) ? value : null;
+}
+
+/**
+ * First money amount in a string ("$1,299.99", "1.299,99 €", "￥1,299").
+ * @param {string} text
+ * @param {string} [locale]
+ * @returns {number|null}
+ */
+function parseMoney(text, locale = DEFAULT_LOCALE) {
+    return parseNumber(text, locale);
+}
+
+/**
+ * ISO currency code from a price string's symbol. "$" alone is ambiguous,
+ * so it falls back to the storefront's currency.
+ * @param {string} text
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+function detectCurrency(text, fallback = DEFAULT_CURRENCY) {
+    const str = String(text || '');
+    const iso = str.match(new RegExp(`\\b(${Object.keys(CURRENCY_LOCALES).join('|')})\\b`));
+    if (iso) return iso[1];
+    const symbol = CURRENCY_SYMBOLS.find(([s]) => str.includes(s));
+    return symbol ? symbol[1] : fallback;
+}
+
+// ─── Formatting ──────────────────────────────────────────────
+
+const formatters = {};
+
+function getFormatter(currency, locale) {
+    const key = `${locale}|${currency}`;
+    if (!formatters[key]) {
+        formatters[key] = new Intl.NumberFormat(locale, { style: 'currency', currency });
+    }
+    return formatters[key];
+}
+
+/**
+ * Format an amount in its currency: 1299.99, 'EUR' → "1.299,99 €".
+ * @param {number} amount
+ * @param {string} [currency]
+ * @param {string} [locale] - Defaults to the currency's home storefront
+ * @returns {string} '' when the amount is missing
+ */
+function formatMoney(amount, currency = DEFAULT_CURRENCY, locale = null) {
+    if (amount === null || amount === undefined || !isFinite(amount)) return '';
+    const code = currency || DEFAULT_CURRENCY;
+    return getFormatter(code, locale || CURRENCY_LOCALES[code] || DEFAULT_LOCALE).format(amount);
+}
+
+/**
+ * The symbol a currency is displayed with ("$", "€", "£").
+ * @param {string} [currency]
+ * @returns {string}
+ */
+function getCurrencySymbol(currency = DEFAULT_CURRENCY) {
+    const code = currency || DEFAULT_CURRENCY;
+    const parts = getFormatter(code, CURRENCY_LOCALES[code] || DEFAULT_LOCALE).formatToParts(0);
+    return parts.find(p => p.type === 'currency')?.value || code;
+}
+
+// ─── Currency Conversion ─────────────────────────────────────
+
+/**
+ * Units of each currency per 1 USD. Approximate; users can edit their own
+ * table in settings (stored as `exchangeRates`).
+ */
+const DEFAULT_EXCHANGE_RATES = {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    CAD: 1.37,
+    AUD: 1.52,
+    INR: 83.5,
+    JPY: 150,
+    MXN: 18.0,
+    SEK: 10.6,
+};
+
+/**
+ * Merge a stored rate table over the defaults, dropping invalid entries.
+ * @param {object} raw
+ * @returns {object}
+ */
+function normalizeExchangeRates(raw = {}) {
+    const rates = { ...DEFAULT_EXCHANGE_RATES };
+    Object.entries(raw || {}).forEach(([code, value]) => {
+        const rate = parseFloat(value);
+        if (code in rates && isFinite(rate) && rate > 0) rates[code] = rate;
+    });
+    rates.USD = 1;
+    return rates;
+}
+
+/**
+ * Convert an amount between currencies through the USD-based rate table.
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {object} [rates]
+ * @returns {number|null} null when either rate is unknown
+ */
+function convertMoney(amount, from, to, rates = DEFAULT_EXCHANGE_RATES) {
+    if (amount === null || amount === undefined || !isFinite(amount)) return null;
+    if (from === to) return amount;
+    if (!(rates[from] > 0) || !(rates[to] > 0)) return null;
+    return amount / rates[from] * rates[to];
+}
+
+/**
+ * Convert storefront offers into one currency and sort them cheapest first.
+ * The landed total includes shipping when it's known.
+ * @param {Array} offers - { price, currency, shippingCost, ... }
+ * @param {string} currency - Currency to compare in
+ * @param {object} [rates]
+ * @returns {Array} offers with .convertedPrice, .convertedShipping and .convertedTotal;
+ *   offers that can't be converted are dropped
+ */
+function compareOffers(offers, currency, rates = DEFAULT_EXCHANGE_RATES) {
+    return (offers || [])
+        .map(offer => {
+            const convertedPrice = convertMoney(offer.price, offer.currency, currency, rates);
+            const convertedShipping = convertMoney(offer.shippingCost, offer.currency, currency, rates);
+            return {
+                ...offer,
+                convertedPrice,
+                convertedShipping,
+                convertedTotal: convertedPrice === null ? null : convertedPrice + (convertedShipping || 0),
+            };
+        })
+        .filter(offer => offer.convertedTotal !== null)
+        .sort((a, b) => a.convertedTotal - b.convertedTotal);
+}
+
+// ─── Export ──────────────────────────────────────────────────
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.MoneyEngine = {
+        getLocaleForHost,
+        parseNumber,
+        parseMoney,
+        detectCurrency,
+        formatMoney,
+        getCurrencySymbol,
+        normalizeExchangeRates,
+        convertMoney,
+        compareOffers,
+        DEFAULT_EXCHANGE_RATES,
+        DEFAULT_CURRENCY,
+    };
+}
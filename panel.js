@@ -0,0 +1,266 @@
+// ============================================================
+// panel.js — On-page Comparison Panel
+// Shows a tab's results next to the buy box, in a Shadow DOM so
+// Amazon's styles and ours don't mix. Reads the same run state
+// and progress stream as the popup, so both always agree.
+// Loaded before content.js on product pages.
+// Depends on results-view.js (cards) and the popup's stylesheet.
+// ============================================================
+
+const PANEL_VISIBLE_CARDS = 3;
+
+const PANEL_TEMPLATE = `
+  <link rel="stylesheet" href="${chrome.runtime.getURL('popup.css')}">
+  <link rel="stylesheet" href="${chrome.runtime.getURL('panel.css')}">
+  <div class="panel">
+    <div class="panel-header">
+      <span class="panel-title">⚡ Better Deals</span>
+      <span class="panel-status"></span>
+      <button class="icon-btn panel-refresh" title="Search again, skipping cached results">↻</button>
+      <button class="icon-btn panel-toggle" title="Collapse">▾</button>
+      <button class="icon-btn panel-close" title="Close">✕</button>
+    </div>
+    <div class="panel-body">
+      <div class="run-progress hidden">
+        <div class="progress-track">
+          <div class="progress-bar"></div>
+        </div>
+        <span class="run-progress-text"></span>
+        <button class="link-btn panel-cancel">Cancel</button>
+      </div>
+      <p class="panel-message hidden"></p>
+      <div class="decision-review hidden">
+        <div class="review-header">
+          <span class="review-icon">🤖</span>
+          <span>AI Recommendation</span>
+        </div>
+        <p class="review-text"></p>
+      </div>
+      <div class="savings-banner hidden">
+        <span class="savings-icon">💰</span>
+        <span class="savings-text"></span>
+      </div>
+      <div class="storefront-row variant-row hidden">
+        <span class="storefront-icon">🔀</span>
+        <span class="storefront-text"></span>
+      </div>
+      <div class="product-list"></div>
+      <button class="link-btn panel-more hidden"></button>
+    </div>
+  </div>
+`;
+
+/**
+ * Mount the panel after `anchor` (the Optimize button). It stays hidden
+ * until the tab has a run for `asin` or show() is called.
+ * @param {Element} anchor
+ * @param {string} asin - Product the page shows; results for others are ignored
+ * @returns {{show: function, refresh: function, setAsin: function, moveTo: function}}
+ */
+function createComparisonPanel(anchor, asin) {
+    const host = document.createElement('div');
+    host.id = 'amz-opt-panel-host';
+    host.hidden = true;
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = PANEL_TEMPLATE;
+    anchor.after(host);
+
+    const $ = selector => root.querySelector(selector);
+    const panel = $('.panel');
+    let results = null;
+    let showAll = false;
+
+    // ─── Controls ────────────────────────────────────────────
+
+    chrome.storage.local.get(['panelCollapsed'], (data) => setCollapsed(!!data.panelCollapsed));
+
+    function setCollapsed(collapsed) {
+        panel.classList.toggle('collapsed', collapsed);
+        $('.panel-toggle').textContent = collapsed ? '▸' : '▾';
+        $('.panel-toggle').title = collapsed ? 'Expand' : 'Collapse';
+    }
+
+    $('.panel-toggle').addEventListener('click', () => {
+        const collapsed = !panel.classList.contains('collapsed');
+        setCollapsed(collapsed);
+        chrome.storage.local.set({ panelCollapsed: collapsed });
+    });
+
+    $('.panel-close').addEventListener('click', () => { host.hidden = true; });
+
+    $('.panel-refresh').addEventListener('click', () => {
+        $('.panel-refresh').disabled = true;
+        chrome.runtime.sendMessage({ action: 'refreshOptimize' }, () => {
+            $('.panel-refresh').disabled = false;
+        });
+    });
+
+    $('.panel-cancel').addEventListener('click', () => {
+        $('.panel-cancel').disabled = true;
+        chrome.runtime.sendMessage({ action: 'cancelOptimize' }, () => {
+            $('.panel-cancel').disabled = false;
+        });
+    });
+
+    $('.panel-more').addEventListener('click', () => {
+        showAll = !showAll;
+        if (results) renderResults(results);
+    });
+
+    // ─── Sync with the Background Run ────────────────────────
+
+    // Steps stream in over the popup's progress port; the worker names
+    // this tab from the port's sender
+    let port = null;
+
+    function connectProgress() {
+        if (port) return;
+        port = chrome.runtime.connect({ name: 'optimize-progress' });
+        port.postMessage({});
+        port.onMessage.addListener((event) => {
+            // A partial ranking from the previous variant's run can still arrive after a switch
+            if (event.results && event.results.originalProduct?.asin !== asin) return;
+            if (event.results) renderResults(event.results);
+            renderProgress(event);
+        });
+        port.onDisconnect.addListener(() => { port = null; });
+    }
+
+    // Run status changes and rescoring from the popup
+    chrome.runtime.onMessage.addListener((msg) => {
+        if (msg.action === 'resultsChanged') refresh();
+        return false;
+    });
+
+    function refresh() {
+        connectProgress();
+        chrome.runtime.sendMessage({ action: 'getResults', asin }, (res) => {
+            if (chrome.runtime.lastError || !res) return;
+            if (res.results) {
+                renderResults(res.results);
+                renderProgress(res.progress);
+            } else if (res.isOptimizing) {
+                renderLoading();
+                renderProgress(res.progress);
+            } else if (res.verificationUrl) {
+                renderMessage('Amazon is asking for verification. Complete the check, then optimize again.', res.verificationUrl);
+            } else if (res.error) {
+                renderMessage(res.error);
+            } else {
+                return;
+            }
+            host.hidden = false;
+        });
+    }
+
+    // ─── Rendering ───────────────────────────────────────────
+
+    function renderProgress(progress) {
+        const running = !!progress && progress.step !== 'done';
+        $('.run-progress').classList.toggle('hidden', !running);
+        $('.progress-bar').style.width = `${Math.round((progress?.fraction || 0) * 100)}%`;
+        $('.run-progress-text').textContent = running ? progress.message : '';
+        $('.panel-status').textContent = running ? 'Optimizing…' : '';
+    }
+
+    function renderLoading() {
+        results = null;
+        renderMessage('Searching for similar products…');
+        $('.run-progress').classList.remove('hidden');
+    }
+
+    function renderMessage(text, linkUrl = null) {
+        $('.panel-message').textContent = text;
+        if (linkUrl) {
+            const link = document.createElement('a');
+            link.href = linkUrl;
+            link.target = '_blank';
+            link.textContent = ' Open the check';
+            $('.panel-message').appendChild(link);
+        }
+        $('.panel-message').classList.remove('hidden');
+        ['.decision-review', '.savings-banner', '.variant-row', '.panel-more', '.run-progress'].forEach(s => $(s).classList.add('hidden'));
+        $('.product-list').innerHTML = '';
+    }
+
+    function renderResults(next) {
+        results = next;
+        host.hidden = false;
+        $('.panel-message').classList.add('hidden');
+
+        // AI Decision Review — pending while the run's AI step is still going
+        const reviewPending = results.partial && results.aiUsed;
+        const review = $('.decision-review');
+        review.classList.toggle('pending', !!reviewPending);
+        review.classList.toggle('hidden', !reviewPending && !results.decisionReview);
+        $('.review-text').textContent = reviewPending ? 'Writing the AI recommendation…' : results.decisionReview || '';
+
+        const savings = ResultsView.describeSavings(results.products);
+        $('.savings-banner').classList.toggle('hidden', !savings);
+        if (savings) {
+            $('.savings-banner').classList.toggle('no-savings', savings.noSavings);
+            $('.savings-text').innerHTML = savings.html;
+        }
+
+        const variant = ResultsView.describeVariantSavings(results.products);
+        $('.variant-row').classList.toggle('hidden', !variant);
+        if (variant) {
+            $('.variant-row .storefront-text').innerHTML = variant.html;
+            $('.variant-row').onclick = () => window.open(variant.url, '_blank', 'noopener');
+        }
+
+        // Best value first; the rest on request
+        const products = results.products || [];
+        const list = $('.product-list');
+        list.innerHTML = '';
+        if (products.length === 0) {
+            renderMessage('No similar products found.');
+            return;
+        }
+        const visible = showAll ? products : products.slice(0, PANEL_VISIBLE_CARDS);
+        visible.forEach((product, index) => {
+            const card = ResultsView.createProductCard(product, index);
+            card.addEventListener('click', () => {
+                if (product.url && !product.isOriginal) window.open(product.url, '_blank', 'noopener');
+            });
+            list.appendChild(card);
+        });
+
+        const more = $('.panel-more');
+        more.classList.toggle('hidden', products.length <= PANEL_VISIBLE_CARDS);
+        more.textContent = showAll ? 'Show fewer' : `Show all ${products.length} results`;
+    }
+
+    refresh();
+
+    return {
+        // Open the panel for a run the page just started
+        show() {
+            host.hidden = false;
+            renderLoading();
+            connectProgress();
+        },
+        refresh,
+        // The page switched to another variant: drop the old product's results
+        setAsin(next) {
+            if (next === asin) return;
+            asin = next;
+            results = null;
+            showAll = false;
+            host.hidden = true;
+            refresh();
+        },
+        // Amazon re-rendered the buy box; follow the button
+        moveTo(newAnchor) {
+            newAnchor.after(host);
+        },
+    };
+}
+
+// ─── Export ──────────────────────────────────────────────────
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.ComparisonPanel = {
+        createComparisonPanel,
+    };
+}
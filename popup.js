@@ -1,40 +1,415 @@
 // ============================================================
 // popup.js — Popup UI Logic
 // Fetches results from background and renders the comparison.
+// Also the side panel (popup.html?mode=sidepanel), which stays
+// open across tabs and follows the active one.
 // ============================================================
 
 document.addEventListener('DOMContentLoaded', async () => {
     const elements = {
+        viewTabs: document.querySelectorAll('.view-tab'),
+        resultsView: document.getElementById('resultsView'),
+        watchlistView: document.getElementById('watchlistView'),
+        watchlistCount: document.getElementById('watchlistCount'),
+        watchlistSummary: document.getElementById('watchlistSummary'),
+        watchlistCheck: document.getElementById('watchlistCheck'),
+        watchlistItems: document.getElementById('watchlistItems'),
+        recentView: document.getElementById('recentView'),
+        recentItems: document.getElementById('recentItems'),
+        recentClear: document.getElementById('recentClear'),
+        savedBar: document.getElementById('savedBar'),
+        savedText: document.getElementById('savedText'),
+        savedBack: document.getElementById('savedBack'),
         emptyState: document.getElementById('emptyState'),
         loadingState: document.getElementById('loadingState'),
         resultsState: document.getElementById('resultsState'),
         errorState: document.getElementById('errorState'),
+        verifyState: document.getElementById('verifyState'),
+        verifyBtn: document.getElementById('verifyBtn'),
         aiStatus: document.getElementById('aiStatus'),
         aiLabel: document.querySelector('.ai-label'),
         decisionReview: document.getElementById('decisionReview'),
         reviewText: document.getElementById('reviewText'),
         savingsBanner: document.getElementById('savingsBanner'),
         savingsText: document.getElementById('savingsText'),
+        variantRow: document.getElementById('variantRow'),
+        variantText: document.getElementById('variantText'),
+        storefrontRow: document.getElementById('storefrontRow'),
+        storefrontText: document.getElementById('storefrontText'),
         productList: document.getElementById('productList'),
         errorMessage: document.getElementById('errorMessage'),
         settingsBtn: document.getElementById('settingsBtn'),
+        sidePanelBtn: document.getElementById('sidePanelBtn'),
         retryBtn: document.getElementById('retryBtn'),
         loadingStep: document.getElementById('loadingStep'),
+        loadingProgress: document.getElementById('loadingProgress'),
+        runProgress: document.getElementById('runProgress'),
+        runProgressBar: document.getElementById('runProgressBar'),
+        runProgressText: document.getElementById('runProgressText'),
+        cancelBtn: document.getElementById('cancelBtn'),
+        runCancel: document.getElementById('runCancel'),
+        profileSelect: document.getElementById('profileSelect'),
+        excludedBar: document.getElementById('excludedBar'),
+        excludedText: document.getElementById('excludedText'),
+        excludedToggle: document.getElementById('excludedToggle'),
+        excludedList: document.getElementById('excludedList'),
+        filtersToggle: document.getElementById('filtersToggle'),
+        refreshBtn: document.getElementById('refreshBtn'),
+        sortSelect: document.getElementById('sortSelect'),
+        detailDrawer: document.getElementById('detailDrawer'),
+        detailBody: document.getElementById('detailBody'),
+        detailOpen: document.getElementById('detailOpen'),
+        detailClose: document.getElementById('detailClose'),
+        filtersCount: document.getElementById('filtersCount'),
+        filtersPanel: document.getElementById('filtersPanel'),
+        filtersApply: document.getElementById('filtersApply'),
+        filtersReset: document.getElementById('filtersReset'),
+        filterPriceLabel: document.getElementById('filterPriceLabel'),
+        filterUnitLabel: document.getElementById('filterUnitLabel'),
+        pricingSubscribeSave: document.getElementById('pricingSubscribeSave'),
+        filterFields: {
+            maxPrice: document.getElementById('filterMaxPrice'),
+            maxUnitPrice: document.getElementById('filterMaxUnitPrice'),
+            minRating: document.getElementById('filterMinRating'),
+            minReviewCount: document.getElementById('filterMinReviewCount'),
+            primeOrFreeOnly: document.getElementById('filterPrimeOrFreeOnly'),
+            brandInclude: document.getElementById('filterBrandInclude'),
+            brandExclude: document.getElementById('filterBrandExclude'),
+            needBy: document.getElementById('filterNeedBy'),
+            needByMode: document.getElementById('filterNeedByMode'),
+        },
     };
 
+    const { escapeHtml } = ResultsView;
+
+    const isSidePanel = new URLSearchParams(location.search).get('mode') === 'sidepanel';
+    document.body.classList.toggle('side-panel', isSidePanel);
+
+    // Results shown: the active tab's ({ tabId, asin }) or a saved comparison's ({ comparisonId })
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    let tabSource = getTabSource(activeTab);
+    let source = tabSource;
+
+    function getTabSource(tab) {
+        return {
+            tabId: tab?.id,
+            asin: tab?.url?.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/)?.[1] || null,
+        };
+    }
+
     // ─── Settings Button ──────────────────────────────────
 
     elements.settingsBtn.addEventListener('click', () => {
         chrome.runtime.openOptionsPage();
     });
 
+    // ─── Side Panel Button ────────────────────────────────
+
+    elements.sidePanelBtn.classList.toggle('hidden', isSidePanel || !chrome.sidePanel);
+    elements.sidePanelBtn.addEventListener('click', () => {
+        chrome.sidePanel.open({ windowId: activeTab.windowId })
+            .then(() => window.close())
+            // e.g. the user gesture was lost; stay in the popup
+            .catch(err => console.warn('[Popup] Could not open the side panel:', err.message));
+    });
+
     // ─── Retry Button ─────────────────────────────────────
 
     elements.retryBtn?.addEventListener('click', () => {
-        chrome.runtime.sendMessage({ action: 'clearResults' });
+        chrome.runtime.sendMessage({ action: 'clearResults', tabId: tabSource.tabId });
         showState('empty');
     });
 
+    // ─── View Tabs ────────────────────────────────────────
+
+    elements.viewTabs.forEach(tab => {
+        tab.addEventListener('click', () => showView(tab.dataset.view));
+    });
+
+    function showView(view) {
+        elements.viewTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+        elements.resultsView.classList.toggle('hidden', view !== 'results');
+        elements.watchlistView.classList.toggle('hidden', view !== 'watchlist');
+        elements.recentView.classList.toggle('hidden', view !== 'recent');
+        if (view === 'recent') loadRecent();
+    }
+
+    // ─── Recent Comparisons ───────────────────────────────
+
+    function loadRecent() {
+        chrome.runtime.sendMessage({ action: 'listComparisons' }, (res) => {
+            if (chrome.runtime.lastError) return;
+            renderRecent(res?.comparisons || []);
+        });
+    }
+
+    function renderRecent(comparisons) {
+        elements.recentItems.innerHTML = '';
+        elements.recentClear.classList.toggle('hidden', comparisons.length === 0);
+        if (comparisons.length === 0) {
+            elements.recentItems.innerHTML = '<p class="watchlist-summary">Comparisons you run show up here.</p>';
+            return;
+        }
+
+        comparisons.forEach(c => {
+            const row = document.createElement('div');
+            row.className = 'watch-item';
+            row.innerHTML = `
+          ${c.imageUrl ? `<img src="${c.imageUrl}" alt="">` : ''}
+          <div class="watch-info">
+            <div class="watch-title">${escapeHtml(c.title || c.asin)}</div>
+            <div class="watch-prices">${c.bestTitle ? `Best: ${escapeHtml(c.bestTitle)}` : 'Already the best pick'}</div>
+            <div class="watch-checked">${c.candidates} products · ${formatTimeAgo(c.timestamp)}</div>
+          </div>
+        `;
+            row.addEventListener('click', () => openComparison(c));
+            elements.recentItems.appendChild(row);
+        });
+    }
+
+    function openComparison(comparison) {
+        chrome.runtime.sendMessage({ action: 'getComparison', comparisonId: comparison.id }, (res) => {
+            if (chrome.runtime.lastError || !res?.results) return;
+            source = { comparisonId: comparison.id };
+            elements.savedText.textContent = `Saved comparison · ${new Date(comparison.timestamp).toLocaleString()}`;
+            elements.savedBar.classList.remove('hidden');
+            elements.refreshBtn.classList.add('hidden');
+            showView('results');
+            renderResults(res.results);
+        });
+    }
+
+    elements.savedBack.addEventListener('click', () => {
+        source = tabSource;
+        elements.savedBar.classList.add('hidden');
+        elements.refreshBtn.classList.remove('hidden');
+        loadResults();
+    });
+
+    // The side panel stays open while new comparisons finish
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.recentComparisons && !elements.recentView.classList.contains('hidden')) loadRecent();
+    });
+
+    elements.recentClear.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'clearComparisons' }, () => renderRecent([]));
+    });
+
+    // ─── Watchlist ────────────────────────────────────────
+
+    let watchedIds = new Set();
+
+    async function loadWatchlist() {
+        const items = await Watchlist.getWatchlist();
+        watchedIds = new Set(items.map(i => i.id));
+        elements.watchlistCount.textContent = items.length ? `(${items.length})` : '';
+        renderWatchlist(items);
+    }
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.watchlist) loadWatchlist();
+    });
+
+    elements.watchlistCheck.addEventListener('click', () => {
+        elements.watchlistCheck.disabled = true;
+        elements.watchlistCheck.textContent = 'Checking...';
+        chrome.runtime.sendMessage({ action: 'checkWatchlist' }, () => {
+            elements.watchlistCheck.disabled = false;
+            elements.watchlistCheck.textContent = 'Check now';
+        });
+    });
+
+    await loadWatchlist();
+
+    // ─── Scoring Profile ──────────────────────────────────
+
+    const profileData = await new Promise(resolve => {
+        chrome.storage.local.get(['activeProfileId', 'customProfiles'], resolve);
+    });
+    ScoringEngine.listProfiles(profileData.customProfiles).forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        elements.profileSelect.appendChild(option);
+    });
+    elements.profileSelect.value = ScoringEngine
+        .resolveProfile(profileData.activeProfileId, profileData.customProfiles).id;
+
+    elements.profileSelect.addEventListener('change', () => {
+        const profileId = elements.profileSelect.value;
+        chrome.storage.local.set({ activeProfileId: profileId });
+
+        rescore({ profileId });
+    });
+
+    // ─── Subscribe & Save Toggle ──────────────────────────
+
+    elements.pricingSubscribeSave.addEventListener('change', () => {
+        const subscribeSave = elements.pricingSubscribeSave.checked;
+        chrome.storage.local.set({ subscribeSave });
+
+        rescore({ subscribeSave });
+    });
+
+    // ─── Excluded Candidates Toggle ───────────────────────
+
+    elements.excludedToggle.addEventListener('click', () => {
+        const showing = elements.excludedList.classList.toggle('hidden') === false;
+        elements.excludedToggle.textContent = showing ? 'Hide' : 'Show';
+    });
+
+    // ─── Per-run Filters ──────────────────────────────────
+
+    elements.filtersToggle.addEventListener('click', () => {
+        elements.filtersPanel.classList.toggle('hidden');
+    });
+
+    elements.filtersApply.addEventListener('click', () => {
+        const f = elements.filterFields;
+        const constraints = ScoringEngine.normalizeConstraints({
+            maxPrice: f.maxPrice.value,
+            maxUnitPrice: f.maxUnitPrice.value,
+            minRating: f.minRating.value,
+            minReviewCount: f.minReviewCount.value,
+            primeOrFreeOnly: f.primeOrFreeOnly.checked,
+            brandInclude: f.brandInclude.value,
+            brandExclude: f.brandExclude.value,
+            needBy: f.needBy.value,
+            needByMode: f.needByMode.value,
+        });
+        rescore({ constraints });
+    });
+
+    elements.filtersReset.addEventListener('click', () => {
+        chrome.storage.local.get(['constraints'], (data) => {
+            rescore({ constraints: ScoringEngine.normalizeConstraints(data.constraints) });
+        });
+    });
+
+    function loadFilterFields(constraints, unitLabel, currency) {
+        const c = ScoringEngine.normalizeConstraints(constraints);
+        const f = elements.filterFields;
+        f.maxPrice.value = c.maxPrice ?? '';
+        f.maxUnitPrice.value = c.maxUnitPrice ?? '';
+        f.minRating.value = c.minRating ? String(c.minRating) : '';
+        f.minReviewCount.value = c.minReviewCount ?? '';
+        f.primeOrFreeOnly.checked = c.primeOrFreeOnly;
+        f.brandInclude.value = c.brandInclude.join(', ');
+        f.brandExclude.value = c.brandExclude.join(', ');
+        f.needBy.value = c.needBy || '';
+        f.needByMode.value = c.needByMode;
+
+        const symbol = MoneyEngine.getCurrencySymbol(currency);
+        elements.filterPriceLabel.textContent = `Max price (${symbol})`;
+        elements.filterUnitLabel.textContent = unitLabel && unitLabel !== 'ea'
+            ? `Max ${symbol} / ${unitLabel}`
+            : `Max unit price (${symbol})`;
+        const active = ScoringEngine.countActiveConstraints(c);
+        elements.filtersCount.textContent = active ? `(${active})` : '';
+    }
+
+    // Re-rank the current results with a new profile or constraints — no new search
+    function rescore(overrides) {
+        chrome.runtime.sendMessage({ action: 'rescore', ...source, ...overrides }, (res) => {
+            if (chrome.runtime.lastError || !res?.results) return;
+            renderResults(res.results);
+        });
+    }
+
+    // ─── Force Refresh ────────────────────────────────────
+
+    // Re-runs this tab's product past the cache; the run status change
+    // swaps the popup to its loading state
+    elements.refreshBtn.addEventListener('click', () => {
+        elements.refreshBtn.disabled = true;
+        chrome.runtime.sendMessage({ action: 'refreshOptimize', tabId: tabSource.tabId }, () => {
+            elements.refreshBtn.disabled = false;
+        });
+    });
+
+    // ─── Sorting ──────────────────────────────────────────
+
+    // Last rendered results, re-rendered when the sort order changes
+    let currentResults = null;
+
+    Object.entries(ResultsView.SORT_ORDERS).forEach(([order, { label }]) => {
+        const option = document.createElement('option');
+        option.value = order;
+        option.textContent = label;
+        elements.sortSelect.appendChild(option);
+    });
+
+    elements.sortSelect.addEventListener('change', () => {
+        if (currentResults) renderResults(currentResults);
+    });
+
+    // ─── Detail Drawer ───────────────────────────────────
+
+    let detailProduct = null;
+
+    function openDetails(product) {
+        detailProduct = product;
+        elements.detailBody.innerHTML = ResultsView.renderProductDetails(product);
+        elements.detailOpen.classList.toggle('hidden', !product.url);
+        elements.detailDrawer.classList.remove('hidden');
+    }
+
+    function closeDetails() {
+        detailProduct = null;
+        elements.detailDrawer.classList.add('hidden');
+    }
+
+    elements.detailClose.addEventListener('click', closeDetails);
+    elements.detailOpen.addEventListener('click', () => {
+        if (detailProduct?.url) chrome.tabs.create({ url: detailProduct.url });
+    });
+
+    // ─── Live Progress ────────────────────────────────────
+
+    // Steps of this tab's run stream in over a port; the deterministic
+    // ranking arrives with the 'scored' step, before the AI review
+    let showingPartial = false;
+
+    // The side panel outlives the service worker; reconnect lazily after it restarts
+    let progressPort = null;
+
+    function subscribeProgress() {
+        if (!progressPort) {
+            progressPort = chrome.runtime.connect({ name: 'optimize-progress' });
+            progressPort.onMessage.addListener((event) => {
+                if (source.comparisonId) return;
+                if (event.results) renderResults(event.results);
+                renderProgress(event);
+            });
+            progressPort.onDisconnect.addListener(() => { progressPort = null; });
+        }
+        progressPort.postMessage({ tabId: tabSource.tabId });
+    }
+
+    subscribeProgress();
+
+    [elements.cancelBtn, elements.runCancel].forEach(btn => {
+        btn.addEventListener('click', () => {
+            btn.disabled = true;
+            btn.textContent = 'Cancelling...';
+            chrome.runtime.sendMessage({ action: 'cancelOptimize', tabId: tabSource.tabId }, () => {
+                btn.disabled = false;
+                btn.textContent = 'Cancel';
+            });
+        });
+    });
+
+    function renderProgress(progress) {
+        const width = `${Math.round((progress?.fraction || 0) * 100)}%`;
+        elements.loadingStep.textContent = progress?.message || 'Searching for similar products';
+        elements.loadingProgress.style.width = width;
+
+        const running = !!progress && progress.step !== 'done';
+        elements.runProgress.classList.toggle('hidden', !(running && showingPartial));
+        elements.runProgressBar.style.width = width;
+        elements.runProgressText.textContent = running ? progress.message : '';
+    }
+
     // ─── Check AI Status ──────────────────────────────────
 
     try {
@@ -50,23 +425,78 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // ─── Load Results ─────────────────────────────────────
 
-    try {
-        const response = await new Promise((resolve, reject) => {
-            chrome.runtime.sendMessage({ action: 'getResults' }, (res) => {
-                if (chrome.runtime.lastError) reject(chrome.runtime.lastError);
-                else resolve(res);
+    async function loadResults() {
+        subscribeProgress();
+        try {
+            const response = await new Promise((resolve, reject) => {
+                chrome.runtime.sendMessage({ action: 'getResults', ...tabSource }, (res) => {
+                    if (chrome.runtime.lastError) reject(chrome.runtime.lastError);
+                    else resolve(res);
+                });
             });
-        });
 
-        if (response?.isOptimizing) {
-            showState('loading');
-        } else if (response?.results) {
-            renderResults(response.results);
-        } else {
+            if (response?.results) {
+                renderResults(response.results);
+                renderProgress(response.progress);
+            } else if (response?.isOptimizing) {
+                showState('loading');
+                renderProgress(response.progress);
+            } else if (response?.verificationUrl) {
+                verificationUrl = response.verificationUrl;
+                showState('verify');
+            } else if (response?.error) {
+                elements.errorMessage.textContent = response.error;
+                showState('error');
+            } else {
+                showState('empty');
+            }
+        } catch (err) {
             showState('empty');
         }
-    } catch (err) {
-        showState('empty');
+    }
+
+    // The blocked page opens in a tab so the user can solve the check there
+    let verificationUrl = null;
+
+    elements.verifyBtn.addEventListener('click', () => {
+        if (verificationUrl) chrome.tabs.create({ url: verificationUrl });
+    });
+
+    // Refresh when this tab's run starts or finishes while the popup is open
+    chrome.storage.onChanged.addListener((changes, area) => {
+        const change = area === 'session' && changes[`run:${tabSource.tabId}`];
+        if (!change || source.comparisonId) return;
+        if (change.newValue?.status !== change.oldValue?.status) loadResults();
+    });
+
+    await loadResults();
+
+    // ─── Follow the Active Tab ────────────────────────────
+
+    // The side panel outlives tab switches and navigation: show the
+    // results of whatever its window shows now
+    if (isSidePanel) {
+        chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+            if (windowId !== activeTab?.windowId) return;
+            chrome.tabs.get(tabId, (tab) => {
+                if (!chrome.runtime.lastError) followTab(tab);
+            });
+        });
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+            if (tabId === tabSource.tabId && changeInfo.url) followTab(tab);
+        });
+    }
+
+    function followTab(tab) {
+        const next = getTabSource(tab);
+        if (next.tabId === tabSource.tabId && next.asin === tabSource.asin) return;
+        const following = source === tabSource;
+        tabSource = next;
+        subscribeProgress();
+        if (!following) return;
+        source = tabSource;
+        closeDetails();
+        loadResults();
     }
 
     // ─── State Management ─────────────────────────────────
@@ -76,15 +506,24 @@ document.addEventListener('DOMContentLoaded', async () => {
         elements.loadingState.classList.toggle('hidden', state !== 'loading');
         elements.resultsState.classList.toggle('hidden', state !== 'results');
         elements.errorState.classList.toggle('hidden', state !== 'error');
+        elements.verifyState.classList.toggle('hidden', state !== 'verify');
     }
 
     // ─── Render Results ───────────────────────────────────
 
     function renderResults(results) {
+        currentResults = results;
         showState('results');
+        showingPartial = !!results.partial;
+        if (!showingPartial) elements.runProgress.classList.add('hidden');
 
-        // AI Decision Review
-        if (results.decisionReview) {
+        // AI Decision Review — pending while the run's AI step is still going
+        const reviewPending = results.partial && results.aiUsed;
+        elements.decisionReview.classList.toggle('pending', !!reviewPending);
+        if (reviewPending) {
+            elements.decisionReview.classList.remove('hidden');
+            elements.reviewText.textContent = 'Writing the AI recommendation…';
+        } else if (results.decisionReview) {
             elements.decisionReview.classList.remove('hidden');
             elements.reviewText.textContent = results.decisionReview;
         } else {
@@ -93,6 +532,13 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // Savings Banner
         renderSavingsBanner(results.products);
+        renderVariantRow(results.products);
+        renderStorefrontRow(results.storefronts);
+
+        // Candidates rejected by the relevance filter or the constraints
+        renderExcluded(results.excluded, results.filteredOut);
+        loadFilterFields(results.constraints, results.products?.[0]?.unitLabel, results.products?.[0]?.currency);
+        elements.pricingSubscribeSave.checked = !!results.pricing?.subscribeSave;
 
         // Product cards
         elements.productList.innerHTML = '';
@@ -105,85 +551,24 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
-        results.products.forEach((product, index) => {
+        ResultsView.sortProducts(results.products, elements.sortSelect.value).forEach((product, index) => {
             const card = createProductCard(product, index);
             elements.productList.appendChild(card);
         });
+
+        // Keep an open detail drawer on the same product
+        if (detailProduct) {
+            const product = results.products.find(p => p.asin === detailProduct.asin);
+            if (product) openDetails(product);
+            else closeDetails();
+        }
     }
 
     // ─── Create Product Card ──────────────────────────────
 
     function createProductCard(product, index) {
-        const card = document.createElement('div');
-        card.className = 'product-card';
-        card.style.animationDelay = `${index * 0.05}s`;
-
-        if (product.isBestValue) card.classList.add('best-value');
-        if (product.isOriginal) card.classList.add('is-original');
-
-        // Score color
-        const scoreColor = product.score >= 70 ? 'var(--green)'
-            : product.score >= 50 ? 'var(--yellow)'
-                : 'var(--red)';
-
-        // Badges HTML
-        let badgesHtml = '';
-        if (product.isBestValue) badgesHtml += '<span class="badge badge-best">🏆 Best Value</span>';
-        if (product.isOriginal) badgesHtml += '<span class="badge badge-original">📍 Current</span>';
-
-        // Review tags HTML
-        let reviewTagsHtml = '';
-        if (product.reviewAnalysis) {
-            const { pros, cons } = product.reviewAnalysis;
-            (pros || []).slice(0, 2).forEach(p => {
-                reviewTagsHtml += `<span class="review-tag pro">✓ ${p}</span>`;
-            });
-            (cons || []).slice(0, 1).forEach(c => {
-                reviewTagsHtml += `<span class="review-tag con">✗ ${c}</span>`;
-            });
-        }
-
-        // Unit price text
-        const unitText = product.quantity > 1
-            ? `$${product.unitPrice?.toFixed(2)}/ea · ${product.quantity} units`
-            : '';
-
-        // Breakdown bar segments
-        const breakdown = product.breakdown || {};
-        const breakdownEntries = [
-            { key: 'unitPrice', color: 'var(--accent)', val: breakdown.unitPrice || 0 },
-            { key: 'rating', color: 'var(--yellow)', val: breakdown.rating || 0 },
-            { key: 'reviewCount', color: 'var(--blue)', val: breakdown.reviewCount || 0 },
-            { key: 'shipping', color: 'var(--green)', val: breakdown.shipping || 0 },
-            { key: 'price', color: 'var(--text-muted)', val: breakdown.price || 0 },
-        ];
-
-        const breakdownBarHtml = breakdownEntries
-            .map(b => `<div class="breakdown-segment" style="width:${b.val}%;background:${b.color};opacity:0.7" title="${b.key}: ${Math.round(b.val)}"></div>`)
-            .join('');
-
-        card.innerHTML = `
-      ${product.imageUrl ? `<img class="card-image" src="${product.imageUrl}" alt="" loading="lazy">` : ''}
-      <div class="card-content">
-        ${badgesHtml ? `<div class="card-badges">${badgesHtml}</div>` : ''}
-        <div class="card-title">${escapeHtml(product.title || 'Unknown Product')}</div>
-        <div class="card-meta">
-          ${product.price ? `<span class="meta-price">$${product.price.toFixed(2)}</span>` : ''}
-          ${unitText ? `<span class="meta-unit">${unitText}</span>` : ''}
-          ${product.rating ? `<span class="meta-rating">★ ${product.rating}</span>` : ''}
-          ${product.reviewCount ? `<span class="meta-reviews">(${product.reviewCount.toLocaleString()})</span>` : ''}
-          ${product.shipping?.isPrime ? '<span class="meta-prime">Prime</span>' : ''}
-        </div>
-        ${reviewTagsHtml ? `<div class="card-review-tags">${reviewTagsHtml}</div>` : ''}
-        <div class="breakdown-bar">${breakdownBarHtml}</div>
-      </div>
-      <div class="card-score">
-        <div class="score-circle" style="--score-color:${scoreColor};--score-pct:${product.score}">
-          ${product.score}
-        </div>
-        <span class="score-label">Score</span>
-      </div>
-    `;
+        const watched = watchedIds.has(Watchlist.getWatchId(product.asin, product.marketplace));
+        const card = ResultsView.createProductCard(product, index, { watched, details: true });
 
         // Click to open product page
         card.addEventListener('click', () => {
@@ -192,72 +577,213 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         });
 
+        card.querySelector('.watch-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleWatchForm(card, product);
+        });
+
+        card.querySelector('.details-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openDetails(product);
+        });
+
         return card;
     }
 
-    // ─── Savings Banner ──────────────────────────────────
 
-    function renderSavingsBanner(products) {
-        if (!products || products.length < 2) {
-            elements.savingsBanner.classList.add('hidden');
+    // ─── Watch Form ──────────────────────────────────────
+
+    function toggleWatchForm(card, product) {
+        const existing = card.querySelector('.watch-form');
+        if (existing) {
+            existing.remove();
             return;
         }
 
-        const original = products.find(p => p.isOriginal);
-        const bestValue = products.find(p => p.isBestValue);
+        const symbol = MoneyEngine.getCurrencySymbol(product.currency);
+        const hasUnit = product.unitCount > 0 && isFinite(product.unitPrice) && product.unitLabel;
+        const form = document.createElement('div');
+        form.className = 'watch-form';
+        form.innerHTML = `
+          <label class="filter-field">Target price (${symbol})
+            <input type="text" class="watch-target-price" inputmode="decimal" placeholder="${(product.effectivePrice ?? product.price ?? 0).toFixed(2)}">
+          </label>
+          ${hasUnit ? `<label class="filter-field">Target ${symbol} / ${escapeHtml(product.unitLabel)}
+            <input type="text" class="watch-target-unit" inputmode="decimal" placeholder="${product.unitPrice.toFixed(2)}">
+          </label>` : ''}
+          <button class="btn btn-primary btn-small">Watch</button>
+        `;
+        form.addEventListener('click', e => e.stopPropagation());
+
+        const priceInput = form.querySelector('.watch-target-price');
+        const unitInput = form.querySelector('.watch-target-unit');
+        form.querySelector('button').addEventListener('click', async () => {
+            const targets = {
+                targetPrice: priceInput.value.replace(',', '.'),
+                targetUnitPrice: unitInput ? unitInput.value.replace(',', '.') : null,
+            };
+            if (!(parseFloat(targets.targetPrice) > 0) && !(parseFloat(targets.targetUnitPrice) > 0)) {
+                priceInput.focus();
+                return;
+            }
+            try {
+                await Watchlist.addWatch(product, targets);
+                form.remove();
+                card.querySelector('.watch-btn').textContent = '👁 Watching — edit';
+            } catch (err) {
+                priceInput.value = '';
+                priceInput.placeholder = err.message;
+            }
+        });
 
-        if (!original || !bestValue) {
-            elements.savingsBanner.classList.add('hidden');
-            return;
-        }
+        card.querySelector('.card-content').appendChild(form);
+        priceInput.focus();
+    }
+
+    // ─── Watchlist View ──────────────────────────────────
+
+    function renderWatchlist(items) {
+        elements.watchlistItems.innerHTML = '';
+        elements.watchlistCheck.classList.toggle('hidden', items.length === 0);
+        elements.watchlistSummary.textContent = items.length
+            ? `Checked about every ${Watchlist.WATCH_CHECK_MINUTES} minutes`
+            : 'Nothing watched yet — use 👁 Watch on a result to get price-drop alerts.';
+
+        items.forEach(item => {
+            const money = amount => MoneyEngine.formatMoney(amount, item.currency) || '—';
+            const unit = amount => (amount ? ScoringEngine.formatUnitPrice(amount, item.unitLabel, item.currency) : '—');
+
+            const lines = [];
+            if (item.targetPrice) lines.push(`Now <strong>${money(item.lastPrice)}</strong> · target ${money(item.targetPrice)}`);
+            if (item.targetUnitPrice) lines.push(`Now <strong>${unit(item.lastUnitPrice)}</strong> · target ${unit(item.targetUnitPrice)}`);
+            const hit = (item.targetPrice && item.lastPrice <= item.targetPrice)
+                || (item.targetUnitPrice && item.lastUnitPrice <= item.targetUnitPrice);
+
+            const row = document.createElement('div');
+            row.className = `watch-item${hit && item.inStock ? ' hit' : ''}`;
+            row.innerHTML = `
+          ${item.imageUrl ? `<img src="${item.imageUrl}" alt="">` : ''}
+          <div class="watch-info">
+            <div class="watch-title">${escapeHtml(item.title || item.asin)}</div>
+            <div class="watch-prices">${lines.join('<br>')}</div>
+            <div class="watch-checked">
+              ${item.inStock ? '' : '<span class="watch-out">Out of stock</span> · '}Checked ${formatTimeAgo(item.lastChecked)}
+            </div>
+          </div>
+          <button class="icon-btn" title="Stop watching">✕</button>
+        `;
+            row.addEventListener('click', () => {
+                chrome.tabs.create({ url: item.url || MarketplaceRegistry.buildProductUrl(MarketplaceRegistry.getMarketplace(item.marketplace), item.asin) });
+            });
+            row.querySelector('.icon-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                Watchlist.removeWatch(item.id);
+            });
+            elements.watchlistItems.appendChild(row);
+        });
+    }
+
+    function formatTimeAgo(timestamp) {
+        const minutes = Math.round((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return `${hours} h ago`;
+        return `${Math.round(hours / 24)} d ago`;
+    }
+
+    // ─── Excluded Candidates ─────────────────────────────
+
+    function renderExcluded(excluded, filteredOut) {
+        const items = [
+            ...(excluded || []),
+            ...(filteredOut || []).map(p => ({ ...p, reasons: p.violations, action: 'filtered' })),
+        ];
 
-        // If the original IS the best value
-        if (original.asin === bestValue.asin) {
-            elements.savingsBanner.classList.remove('hidden');
-            elements.savingsBanner.classList.add('no-savings');
-            elements.savingsText.innerHTML = '✓ You already picked the best deal! No better option found.';
+        elements.excludedList.innerHTML = '';
+        if (items.length === 0) {
+            elements.excludedBar.classList.add('hidden');
+            elements.excludedList.classList.add('hidden');
             return;
         }
 
-        elements.savingsBanner.classList.remove('no-savings');
+        const count = action => items.filter(p => p.action === action).length;
+        const parts = [];
+        if (count('dropped')) parts.push(`${count('dropped')} excluded as not equivalent`);
+        if (count('downweighted')) parts.push(`${count('downweighted')} down-weighted as less relevant`);
+        if (count('filtered')) parts.push(`${count('filtered')} removed by your filters`);
+        elements.excludedText.textContent = parts.join(', ');
+        elements.excludedBar.classList.remove('hidden');
+
+        const actionLabels = { dropped: 'Excluded', downweighted: 'Down-weighted', filtered: 'Filtered' };
+
+        items.forEach(product => {
+            const item = document.createElement('div');
+            item.className = 'excluded-item';
+            item.innerHTML = `
+        ${product.imageUrl ? `<img src="${product.imageUrl}" alt="" loading="lazy">` : ''}
+        <div class="excluded-info">
+          <div class="excluded-title">${escapeHtml(product.title || 'Unknown Product')}</div>
+          <div class="excluded-reasons">${escapeHtml((product.reasons || []).join(' · ') || 'Low relevance')}</div>
+        </div>
+        <span class="excluded-action ${product.action}">${actionLabels[product.action]}</span>
+      `;
+            item.addEventListener('click', () => {
+                if (product.url) chrome.tabs.create({ url: product.url });
+            });
+            elements.excludedList.appendChild(item);
+        });
+    }
 
-        // Compare by unit price if both have quantities
-        const useUnitPrice = original.quantity > 1 || bestValue.quantity > 1;
+    // ─── Savings Banner ──────────────────────────────────
 
-        if (useUnitPrice && original.unitPrice && bestValue.unitPrice && isFinite(original.unitPrice) && isFinite(bestValue.unitPrice)) {
-            const savedPerUnit = original.unitPrice - bestValue.unitPrice;
-            if (savedPerUnit > 0) {
-                const pctSaved = Math.round((savedPerUnit / original.unitPrice) * 100);
-                const totalSaved = savedPerUnit * (original.quantity || 1);
-                elements.savingsBanner.classList.remove('hidden');
-                elements.savingsText.innerHTML = `Save <span class="savings-amount">$${savedPerUnit.toFixed(2)}/unit (${pctSaved}%)</span> by switching — that's <span class="savings-amount">$${totalSaved.toFixed(2)} saved</span> on this purchase!`;
-            } else {
-                // Best value is better on overall score but not cheaper per unit
-                const scoreDiff = bestValue.score - original.score;
-                elements.savingsBanner.classList.remove('hidden');
-                elements.savingsText.innerHTML = `Better deal found — <span class="savings-amount">+${scoreDiff} points</span> higher score with better reviews and shipping.`;
-            }
-        } else if (original.price && bestValue.price) {
-            const saved = original.price - bestValue.price;
-            if (saved > 0) {
-                const pctSaved = Math.round((saved / original.price) * 100);
-                elements.savingsBanner.classList.remove('hidden');
-                elements.savingsText.innerHTML = `Save <span class="savings-amount">$${saved.toFixed(2)} (${pctSaved}%)</span> by switching to the top-rated option!`;
-            } else {
-                const scoreDiff = bestValue.score - original.score;
-                elements.savingsBanner.classList.remove('hidden');
-                elements.savingsText.innerHTML = `Better deal found — <span class="savings-amount">+${scoreDiff} points</span> higher score with better reviews and shipping.`;
-            }
-        } else {
-            elements.savingsBanner.classList.add('hidden');
-        }
+    function renderSavingsBanner(products) {
+        const savings = ResultsView.describeSavings(products);
+        elements.savingsBanner.classList.toggle('hidden', !savings);
+        if (!savings) return;
+        elements.savingsBanner.classList.toggle('no-savings', savings.noSavings);
+        elements.savingsText.innerHTML = savings.html;
+    }
+
+    // ─── Cheapest Storefront ──────────────────────────────
+
+    function renderVariantRow(products) {
+        const variant = ResultsView.describeVariantSavings(products);
+        elements.variantRow.classList.toggle('hidden', !variant);
+        if (!variant) return;
+        elements.variantText.innerHTML = variant.html;
+        elements.variantRow.onclick = () => chrome.tabs.create({ url: variant.url });
     }
 
-    // ─── Helpers ──────────────────────────────────────────
+    function renderStorefrontRow(storefronts) {
+        const cheapest = storefronts?.cheapest;
+        if (!cheapest) {
+            elements.storefrontRow.classList.add('hidden');
+            return;
+        }
+
+        const money = amount => MoneyEngine.formatMoney(amount, storefronts.currency);
+        const home = storefronts.home;
+        const shippingText = cheapest.convertedShipping === null
+            ? 'shipping unknown'
+            : cheapest.convertedShipping > 0
+                ? `incl. ~${money(cheapest.convertedShipping)} shipping`
+                : 'free shipping';
+
+        if (cheapest.isHome || !home) {
+            elements.storefrontText.innerHTML = cheapest.isHome
+                ? `This storefront is the cheapest for this item (${storefronts.offers.filter(o => o.asin === cheapest.asin).length} checked).`
+                : `Cheapest storefront: <strong>${escapeHtml(cheapest.marketplaceName)}</strong> ≈ ${money(cheapest.convertedTotal)} (${shippingText}).`;
+        } else {
+            const saved = home.convertedTotal - cheapest.convertedTotal;
+            elements.storefrontText.innerHTML = `Cheapest storefront: <strong>${escapeHtml(cheapest.marketplaceName)}</strong> ≈ ${money(cheapest.convertedTotal)} (${shippingText}) — about ${money(saved)} less than here.`;
+        }
 
-    function escapeHtml(str) {
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
+        // Every offer that was found, cheapest first
+        elements.storefrontRow.title = storefronts.offers
+            .map(o => `${o.marketplace}: ${MoneyEngine.formatMoney(o.price, o.currency)} → ≈ ${money(o.convertedTotal)} · ${o.title}`)
+            .join('\n');
+        elements.storefrontRow.onclick = () => chrome.tabs.create({ url: cheapest.url });
+        elements.storefrontRow.classList.remove('hidden');
     }
 });
@@ -0,0 +1,253 @@
+// ============================================================
+// relevance.js — Candidate Relevance Filter
+// Rejects search results that aren't equivalent to the original
+// product (accessories, refills, other product types).
+// Depends on scoring.js (ScoringEngine) for keyword/size parsing.
+// ============================================================
+
+const DEFAULT_RELEVANCE_THRESHOLD = 0.35;
+
+/**
+ * Words that mark a listing as an accessory or consumable for a product,
+ * rather than the product itself. Only penalized when the original
+ * product's title doesn't use them too.
+ */
+const ACCESSORY_WORDS = new Set([
+    'case', 'cover', 'sleeve', 'skin', 'protector', 'holder', 'mount',
+    'stand', 'strap', 'band', 'pouch', 'charger', 'cable', 'adapter',
+    'refill', 'refills', 'replacement', 'cartridge', 'filter', 'parts',
+    'accessory', 'accessories', 'compatible', 'attachment', 'decal',
+]);
+
+// A candidate this much cheaper than the original is rarely the same thing
+const PRICE_OUTLIER_RATIO = 0.2;
+
+// Score multiplier for sponsored placements when they're down-weighted
+const SPONSORED_MULTIPLIER = 0.85;
+
+// ─── Similarity Signals ──────────────────────────────────────
+
+/**
+ * Reduce a keyword to a crude stem so "battery" matches "batteries".
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith('es') && !word.endsWith('ses')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Title similarity (0-1): shared keyword stems over the smaller keyword set.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function titleSimilarity(a, b) {
+    const setA = new Set(ScoringEngine.extractKeywords(a).map(stem));
+    const setB = new Set(ScoringEngine.extractKeywords(b).map(stem));
+    if (setA.size === 0 || setB.size === 0) return 0;
+
+    let shared = 0;
+    setA.forEach(w => { if (setB.has(w)) shared++; });
+    return shared / Math.min(setA.size, setB.size);
+}
+
+/**
+ * Category similarity (0-1) from breadcrumb trails: the share of the
+ * shorter trail that both products have in common, from the root.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number|null} null when either trail is unknown
+ */
+function categorySimilarity(a, b) {
+    if (!a || !b || a.length === 0 || b.length === 0) return null;
+
+    let common = 0;
+    while (common < a.length && common < b.length
+        && a[common].toLowerCase() === b[common].toLowerCase()) {
+        common++;
+    }
+    return common / Math.min(a.length, b.length);
+}
+
+/**
+ * Accessory words the candidate uses that the original doesn't.
+ * @param {string} originalTitle
+ * @param {string} candidateTitle
+ * @returns {string[]}
+ */
+function findAccessoryWords(originalTitle, candidateTitle) {
+    const original = new Set(ScoringEngine.extractKeywords(originalTitle));
+    return ScoringEngine.extractKeywords(candidateTitle)
+        .filter(w => ACCESSORY_WORDS.has(w) && !original.has(w));
+}
+
+// ─── Relevance Assessment ────────────────────────────────────
+
+/**
+ * Assess how equivalent a candidate is to the original product.
+ * @param {object} original - { title, price, category }
+ * @param {object} candidate - { title, price, category }
+ * @returns {{relevance: number, reasons: string[]}} relevance 0-1, with the
+ *   reasons that pulled it down
+ */
+function assessRelevance(original, candidate) {
+    const reasons = [];
+
+    const titleSim = titleSimilarity(original.title, candidate.title);
+    const categorySim = categorySimilarity(original.category, candidate.category);
+
+    let relevance = categorySim === null
+        ? titleSim
+        : titleSim * 0.6 + categorySim * 0.4;
+
+    if (titleSim < 0.3) {
+        reasons.push('Few words in common with the original title');
+    }
+    if (categorySim !== null && categorySim < 0.5) {
+        reasons.push(`Different category (${candidate.category[candidate.category.length - 1]})`);
+    }
+
+    const accessoryWords = findAccessoryWords(original.title, candidate.title);
+    if (accessoryWords.length > 0) {
+        relevance -= 0.4;
+        reasons.push(`Looks like an accessory or refill ("${accessoryWords[0]}")`);
+    }
+
+    const originalMeasure = ScoringEngine.extractMeasure(original.title);
+    const candidateMeasure = ScoringEngine.extractMeasure(candidate.title);
+    if (originalMeasure.dimension !== 'count' && candidateMeasure.dimension !== 'count'
+        && originalMeasure.dimension !== candidateMeasure.dimension) {
+        relevance -= 0.3;
+        reasons.push(`Sold by ${candidateMeasure.dimension}, not ${originalMeasure.dimension}`);
+    }
+
+    if (original.price > 0 && candidate.price > 0
+        && candidate.price < original.price * PRICE_OUTLIER_RATIO) {
+        relevance -= 0.2;
+        reasons.push('Priced far below the original');
+    }
+
+    return { relevance: Math.max(0, Math.min(1, relevance)), reasons };
+}
+
+/**
+ * Order candidates by relevance, most relevant first, without dropping any.
+ * Used to decide which search results are worth fetching details for.
+ * @param {object} original
+ * @param {Array} candidates
+ * @returns {Array} candidates with .relevance set
+ */
+function rankByRelevance(original, candidates) {
+    return candidates
+        .map(c => ({ ...c, relevance: assessRelevance(original, c).relevance }))
+        .sort((a, b) => b.relevance - a.relevance);
+}
+
+/**
+ * Drop repeat listings: an ASIN found by several searches, and further
+ * variations (sizes, colours) of a parent ASIN already kept. The first
+ * occurrence wins, so rank candidates before deduping.
+ * @param {Array} candidates - { asin, parentAsin? }
+ * @returns {Array}
+ */
+function dedupeCandidates(candidates) {
+    const asins = new Set();
+    const parents = new Set();
+    return (candidates || []).filter(c => {
+        if (asins.has(c.asin) || (c.parentAsin && parents.has(c.parentAsin))) return false;
+        asins.add(c.asin);
+        if (c.parentAsin) parents.add(c.parentAsin);
+        return true;
+    });
+}
+
+/**
+ * Apply the sponsored-results setting to ranked search results.
+ * 'exclude' drops ads; 'downweight' keeps them with a score multiplier and
+ * re-ranks with it, so organic results get detail pages first; 'keep'
+ * treats them like any other result.
+ * @param {Array} candidates - Ranked by rankByRelevance, with .sponsored
+ * @param {string} [mode] - 'keep', 'downweight' (default) or 'exclude'
+ * @returns {{kept: Array, skipped: Array}} skipped holds excluded ads
+ */
+function applySponsoredMode(candidates, mode = 'downweight') {
+    if (mode === 'exclude') {
+        return { kept: candidates.filter(c => !c.sponsored), skipped: candidates.filter(c => c.sponsored) };
+    }
+    if (mode !== 'downweight') return { kept: candidates, skipped: [] };
+
+    const weighted = candidates.map(c => (c.sponsored
+        ? { ...c, scoreMultiplier: (c.scoreMultiplier ?? 1) * SPONSORED_MULTIPLIER }
+        : c));
+    const rank = c => (c.relevance ?? 1) * (c.scoreMultiplier ?? 1);
+    return { kept: weighted.sort((a, b) => rank(b) - rank(a)), skipped: [] };
+}
+
+/**
+ * Split candidates into those equivalent enough to compare and those that
+ * aren't. Below-threshold candidates are dropped, or kept with a score
+ * multiplier when `mode` is 'downweight'.
+ *
+ * @param {object} original
+ * @param {Array} candidates
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum relevance (0-1)
+ * @param {string} [options.mode] - 'drop' (default) or 'downweight'
+ * @param {Object} [options.aiVerdicts] - Map of ASIN → { equivalent, reason } from the AI check
+ * @returns {{kept: Array, excluded: Array}} excluded entries carry .relevance,
+ *   .reasons and .action ('dropped' | 'downweighted')
+ */
+function filterCandidates(original, candidates, options = {}) {
+    const threshold = options.threshold ?? DEFAULT_RELEVANCE_THRESHOLD;
+    const mode = options.mode || 'drop';
+    const aiVerdicts = options.aiVerdicts || {};
+
+    const kept = [];
+    const excluded = [];
+
+    candidates.forEach(candidate => {
+        const { relevance, reasons } = assessRelevance(original, candidate);
+        const verdict = aiVerdicts[candidate.asin];
+        const aiRejected = verdict && verdict.equivalent === false;
+        if (aiRejected) {
+            reasons.unshift(`AI: ${verdict.reason || 'not an equivalent product'}`);
+        }
+
+        const assessed = { ...candidate, relevance };
+        if (relevance >= threshold && !aiRejected) {
+            kept.push(assessed);
+            return;
+        }
+
+        if (mode === 'downweight') {
+            assessed.lowRelevance = true;
+            assessed.scoreMultiplier = (candidate.scoreMultiplier ?? 1) * (aiRejected ? 0.5 : Math.max(0.5, relevance / threshold));
+            kept.push(assessed);
+            excluded.push({ ...assessed, reasons, action: 'downweighted' });
+        } else {
+            excluded.push({ ...assessed, reasons, action: 'dropped' });
+        }
+    });
+
+    return { kept, excluded };
+}
+
+// ─── Export ──────────────────────────────────────────────────
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.RelevanceEngine = {
+        titleSimilarity,
+        categorySimilarity,
+        findAccessoryWords,
+        assessRelevance,
+        rankByRelevance,
+        dedupeCandidates,
+        applySponsoredMode,
+        filterCandidates,
+        DEFAULT_RELEVANCE_THRESHOLD,
+    };
+}
@@ -0,0 +1,437 @@
+// ============================================================
+// results-view.js — Comparison Card Rendering
+// Product cards, detail drawer contents, sorting, the savings
+// summary and the price-history row, shared by the popup (also
+// the side panel) and the on-page comparison panel. Builds markup
+// only; callers wire clicks, since opening tabs differs between
+// extension pages and content scripts.
+// Depends on money.js and scoring.js.
+// ============================================================
+
+// ─── Product Card ────────────────────────────────────────────
+
+/**
+ * "Used - Like New from Acme · 94% positive · Fulfilled by Amazon"
+ * @param {object|null} offer - A product's bestOffer
+ * @returns {string}
+ */
+function describeOffer(offer) {
+    if (!offer) return '';
+    const parts = [offer.seller
+        ? `${offer.conditionLabel || offer.condition} from ${offer.seller}`
+        : offer.conditionLabel || offer.condition];
+    if (offer.sellerRating !== null && offer.sellerRating !== undefined) parts.push(`${offer.sellerRating}% positive`);
+    if (offer.fulfilledByAmazon) parts.push('Fulfilled by Amazon');
+    return parts.join(' · ');
+}
+
+/**
+ * Result card: badges, prices, review tags, price history, score breakdown.
+ * Clicks are left to the caller.
+ * @param {object} product - Entry of results.products
+ * @param {number} index - Position in the list, staggers the entry animation
+ * @param {object} [options]
+ * @param {boolean} [options.watched] - Watch button state; no button when omitted
+ * @param {boolean} [options.details] - Add a button for the detail drawer
+ * @returns {HTMLElement}
+ */
+function createProductCard(product, index, { watched, details = false } = {}) {
+    const card = document.createElement('div');
+    card.className = 'product-card';
+    card.style.animationDelay = `${index * 0.05}s`;
+
+    if (product.isBestValue) card.classList.add('best-value');
+    if (product.isOriginal) card.classList.add('is-original');
+
+    // Score color
+    const scoreColor = product.score >= 70 ? 'var(--green)'
+        : product.score >= 50 ? 'var(--yellow)'
+            : 'var(--red)';
+
+    // Badges HTML
+    let badgesHtml = '';
+    if (product.isBestValue) badgesHtml += '<span class="badge badge-best">🏆 Best Value</span>';
+    if (product.isOriginal) badgesHtml += '<span class="badge badge-original">📍 Current</span>';
+    if (product.isVariant) badgesHtml += `<span class="badge badge-variant" title="${escapeHtml(product.variantLabel || '')}">🔀 Other Size</span>`;
+    if (product.lowRelevance) badgesHtml += '<span class="badge badge-low-relevance">⚠ Low Relevance</span>';
+    if (product.sponsored) badgesHtml += '<span class="badge badge-sponsored" title="Found through a paid placement">Sponsored</span>';
+    if (product.lateDelivery) badgesHtml += '<span class="badge badge-late">⏰ Arrives Late</span>';
+    if (product.constraintViolations?.length) {
+        badgesHtml += `<span class="badge badge-violation" title="${escapeHtml(product.constraintViolations.join('\n'))}">⛔ Breaks Filters</span>`;
+    }
+
+    // Review tags HTML
+    let reviewTagsHtml = '';
+    if (product.reviewAnalysis) {
+        const { pros, cons } = product.reviewAnalysis;
+        (pros || []).slice(0, 2).forEach(p => {
+            reviewTagsHtml += `<span class="review-tag pro">✓ ${escapeHtml(p)}</span>`;
+        });
+        (cons || []).slice(0, 1).forEach(c => {
+            reviewTagsHtml += `<span class="review-tag con">✗ ${escapeHtml(c)}</span>`;
+        });
+    }
+
+    const money = amount => MoneyEngine.formatMoney(amount, product.currency);
+
+    // Unit price text — normalized unit (per 100 ml, per oz...) when sizes were parsed
+    let unitText = '';
+    if (product.unitPrice && product.unitLabel && product.unitLabel !== 'ea') {
+        unitText = ScoringEngine.formatUnitPrice(product.unitPrice, product.unitLabel, product.currency);
+    } else if (product.unitPrice && product.quantity > 1) {
+        unitText = `${ScoringEngine.formatUnitPrice(product.unitPrice, 'ea', product.currency)} · ${product.quantity} units`;
+    }
+
+    // Effective price — what is actually paid after coupons, S&S and shipping
+    const effective = product.effectivePrice ?? product.price;
+    const adjustments = product.priceAdjustments || [];
+    const showListPrice = product.price && effective && Math.abs(effective - product.price) >= 0.01;
+    const priceTitle = adjustments.length > 0
+        ? `Listed ${money(product.price)}; ${adjustments.map(a => `${a.label} ${a.amount < 0 ? '−' : '+'}${money(Math.abs(a.amount))}`).join('; ')}`
+        : '';
+
+    // Another seller's offer the price comes from
+    const offerText = describeOffer(product.bestOffer);
+
+    // Adjusted rating — shown when review volume moved it noticeably, or when unrated
+    const adjusted = product.ratingAdjusted;
+    let adjustedText = '';
+    if (adjusted && !product.rating) {
+        adjustedText = `unrated · treated as ★ ${adjusted.toFixed(1)}`;
+    } else if (adjusted && Math.abs(adjusted - product.rating) >= 0.05) {
+        adjustedText = `adj. ★ ${adjusted.toFixed(1)}`;
+    }
+
+    // Breakdown bar segments
+    const breakdown = product.breakdown || {};
+    const ratingKey = adjusted
+        ? `rating (★ ${product.rating || '?'} raw, ★ ${adjusted.toFixed(2)} adjusted)`
+        : 'rating';
+    const breakdownEntries = [
+        { key: 'unitPrice', color: 'var(--accent)', val: breakdown.unitPrice || 0 },
+        { key: ratingKey, color: 'var(--yellow)', val: breakdown.rating || 0 },
+        { key: 'reviewCount', color: 'var(--blue)', val: breakdown.reviewCount || 0 },
+        { key: 'shipping', color: 'var(--green)', val: breakdown.shipping || 0 },
+        { key: 'price', color: 'var(--text-muted)', val: breakdown.price || 0 },
+    ];
+
+    const breakdownBarHtml = breakdownEntries
+        .map(b => `<div class="breakdown-segment" style="width:${b.val}%;background:${b.color};opacity:0.7" title="${b.key}: ${Math.round(b.val)}"></div>`)
+        .join('');
+
+    let actionsHtml = '';
+    if (product.asin && watched !== undefined) {
+        actionsHtml += `<button class="link-btn watch-btn">${watched ? '👁 Watching — edit' : '👁 Watch'}</button>`;
+    }
+    if (details) actionsHtml += '<button class="link-btn details-btn">ⓘ Details</button>';
+
+    card.innerHTML = `
+  ${product.imageUrl ? `<img class="card-image" src="${product.imageUrl}" alt="" loading="lazy">` : ''}
+  <div class="card-content">
+    ${badgesHtml ? `<div class="card-badges">${badgesHtml}</div>` : ''}
+    <div class="card-title">${escapeHtml(product.title || 'Unknown Product')}</div>
+    <div class="card-meta">
+      ${effective ? `<span class="meta-price" title="${escapeHtml(priceTitle)}">${money(effective)}</span>` : ''}
+      ${showListPrice ? `<span class="meta-list-price">${money(product.price)}</span>` : ''}
+      ${unitText ? `<span class="meta-unit">${unitText}</span>` : ''}
+      ${product.rating ? `<span class="meta-rating">★ ${product.rating}</span>` : ''}
+      ${adjustedText ? `<span class="meta-rating-adj" title="Rating adjusted for review volume">${adjustedText}</span>` : ''}
+      ${product.reviewCount ? `<span class="meta-reviews">(${product.reviewCount.toLocaleString()})</span>` : ''}
+      ${product.shipping?.isPrime ? '<span class="meta-prime">Prime</span>' : ''}
+      ${product.shipping?.delivery ? `<span class="meta-delivery">🚚 ${ScoringEngine.formatDeliveryRange(product.shipping.delivery)}</span>` : ''}
+    </div>
+    ${offerText ? `<div class="card-offer">🏷 ${escapeHtml(offerText)}</div>` : ''}
+    ${reviewTagsHtml ? `<div class="card-review-tags">${reviewTagsHtml}</div>` : ''}
+    ${renderHistoryRow(product.priceHistory, money)}
+    <div class="breakdown-bar">${breakdownBarHtml}</div>
+    ${actionsHtml ? `<div class="card-actions">${actionsHtml}</div>` : ''}
+  </div>
+  <div class="card-score">
+    <div class="score-circle" style="--score-color:${scoreColor};--score-pct:${product.score}">
+      ${product.score}
+    </div>
+    <span class="score-label">Score</span>
+  </div>
+`;
+
+    return card;
+}
+
+// ─── Product Details ─────────────────────────────────────────
+
+const FACTOR_LABELS = {
+    unitPrice: 'Unit price',
+    rating: 'Rating',
+    reviewSentiment: 'Review sentiment',
+    reviewCount: 'Review count',
+    shipping: 'Shipping',
+    price: 'Price',
+};
+
+/**
+ * Everything known about one result, for the detail drawer: price
+ * build-up, ratings, delivery, score factors, review analysis, warnings.
+ * @param {object} product - Entry of results.products
+ * @returns {string} HTML
+ */
+function renderProductDetails(product) {
+    const money = amount => MoneyEngine.formatMoney(amount, product.currency);
+    const shipping = product.shipping || {};
+    const rows = [];
+    const row = (label, value) => {
+        if (value) rows.push(`<tr><th>${label}</th><td>${value}</td></tr>`);
+    };
+
+    row('Listed price', product.price ? money(product.price) : '');
+    (product.priceAdjustments || []).forEach(a => {
+        row(escapeHtml(a.label), `${a.amount < 0 ? '−' : '+'}${money(Math.abs(a.amount))}`);
+    });
+    const effective = product.effectivePrice ?? product.price;
+    if (product.priceAdjustments?.length) row('You pay', effective ? `<strong>${money(effective)}</strong>` : '');
+    row('Unit price', product.unitPrice > 0 && isFinite(product.unitPrice)
+        ? ScoringEngine.formatUnitPrice(product.unitPrice, product.unitLabel, product.currency)
+        : '');
+    row('Offer', product.bestOffer ? escapeHtml(describeOffer(product.bestOffer)) : '');
+    row('Other sellers', product.offerCount ? `${product.offerCount} offers checked` : '');
+    row('Pack', product.quantity > 1 ? `${product.quantity} units` : '');
+    row('Variant', product.isVariant ? `${escapeHtml(product.variantLabel || '')} — rating and delivery from the item you're viewing` : '');
+    row('Brand', product.brand ? escapeHtml(product.brand) : '');
+    row('Rating', product.rating
+        ? `★ ${product.rating}${product.reviewCount ? ` from ${product.reviewCount.toLocaleString()} reviews` : ''}`
+        : 'Unrated');
+    row('Adjusted rating', product.ratingAdjusted ? `★ ${product.ratingAdjusted.toFixed(2)}` : '');
+    let shippingText = 'Unknown';
+    if (shipping.isPrime) shippingText = 'Prime';
+    else if (shipping.cost === 0) shippingText = 'Free';
+    else if (shipping.cost > 0) shippingText = money(shipping.cost);
+    row('Shipping', shippingText);
+    row('Delivery', ScoringEngine.formatDeliveryRange(shipping.delivery));
+    row('Storefront', escapeHtml(product.marketplace || ''));
+
+    // Score factors, 0–100 each before the profile's weights
+    const factorsHtml = Object.entries(FACTOR_LABELS)
+        .filter(([key]) => typeof product.breakdown?.[key] === 'number')
+        .map(([key, label]) => {
+            const value = Math.round(product.breakdown[key]);
+            return `
+      <div class="detail-factor">
+        <span class="detail-factor-label">${label}</span>
+        <div class="progress-track"><div class="progress-bar" style="width:${value}%"></div></div>
+        <span class="detail-factor-value">${value}</span>
+      </div>`;
+        })
+        .join('');
+
+    const warnings = [...(product.constraintViolations || [])];
+    if (product.lowRelevance) warnings.push('May not be the same kind of product');
+    if (product.lateDelivery) warnings.push('Arrives after your need-by date');
+    if (product.sponsored) warnings.push('Found through a paid placement');
+
+    const review = product.reviewAnalysis;
+    let reviewHtml = '';
+    if (review) {
+        const tags = [
+            ...(review.pros || []).map(p => `<span class="review-tag pro">✓ ${escapeHtml(p)}</span>`),
+            ...(review.cons || []).map(c => `<span class="review-tag con">✗ ${escapeHtml(c)}</span>`),
+        ].join('');
+        reviewHtml = `
+    <h3>Reviews${review.qualityFlag ? ` · ${escapeHtml(review.qualityFlag)}` : ''}</h3>
+    ${review.summary ? `<p class="detail-summary">${escapeHtml(review.summary)}</p>` : ''}
+    ${tags ? `<div class="card-review-tags">${tags}</div>` : ''}`;
+    }
+
+    return `
+    <div class="detail-head">
+      ${product.imageUrl ? `<img class="card-image" src="${product.imageUrl}" alt="">` : ''}
+      <div class="detail-title">${escapeHtml(product.title || 'Unknown Product')}</div>
+      <div class="detail-score">${product.score}</div>
+    </div>
+    ${warnings.length ? `<ul class="detail-warnings">${warnings.map(w => `<li>⚠ ${escapeHtml(w)}</li>`).join('')}</ul>` : ''}
+    <table class="detail-table">${rows.join('')}</table>
+    ${renderHistoryRow(product.priceHistory, money)}
+    ${factorsHtml ? `<h3>Score factors</h3>${factorsHtml}` : ''}
+    ${reviewHtml}`;
+}
+
+// ─── Sorting ─────────────────────────────────────────────────
+
+// Sort orders for result lists; 'score' keeps the ranking as scored
+const SORT_ORDERS = {
+    score: { label: 'Best score' },
+    price: { label: 'Lowest price', value: p => p.effectivePrice ?? p.price, ascending: true },
+    unitPrice: { label: 'Lowest unit price', value: p => p.unitPrice, ascending: true },
+    rating: { label: 'Highest rating', value: p => p.ratingAdjusted ?? p.rating },
+    reviews: { label: 'Most reviews', value: p => p.reviewCount },
+    delivery: { label: 'Earliest delivery', value: p => p.shipping?.delivery?.earliest ?? p.shipping?.delivery?.latest, ascending: true },
+};
+
+/**
+ * Products in a sort order. Products without a value for it go last,
+ * in their scored order.
+ * @param {Array} products
+ * @param {string} [order] - Key of SORT_ORDERS
+ * @returns {Array} a new array
+ */
+function sortProducts(products, order = 'score') {
+    const sort = SORT_ORDERS[order];
+    if (!sort?.value) return products.slice();
+    const valueOf = p => {
+        const value = sort.value(p);
+        return typeof value === 'number' && isFinite(value) && value > 0 ? value : null;
+    };
+    return products.slice().sort((a, b) => {
+        const va = valueOf(a);
+        const vb = valueOf(b);
+        if (va === null || vb === null) return (va === null) - (vb === null);
+        return sort.ascending ? va - vb : vb - va;
+    });
+}
+
+// ─── Savings ─────────────────────────────────────────────────
+
+/**
+ * Savings of the best value over the original, as banner HTML.
+ * @param {Array} products - results.products
+ * @returns {{html: string, noSavings: boolean}|null} null when there is nothing to say
+ */
+function describeSavings(products) {
+    if (!products || products.length < 2) return null;
+
+    const original = products.find(p => p.isOriginal);
+    const bestValue = products.find(p => p.isBestValue);
+    if (!original || !bestValue) return null;
+
+    // If the original IS the best value
+    if (original.asin === bestValue.asin) {
+        return { html: '✓ You already picked the best deal! No better option found.', noSavings: true };
+    }
+
+    const money = amount => MoneyEngine.formatMoney(amount, original.currency);
+    const scoreDiff = bestValue.score - original.score;
+    const betterScore = { html: `Better deal found — <span class="savings-amount">+${scoreDiff} points</span> higher score with better reviews and shipping.`, noSavings: false };
+
+    // Compare by unit price if sizes or quantities were parsed
+    const isMeasured = original.unitLabel && original.unitLabel !== 'ea';
+    const useUnitPrice = isMeasured || original.quantity > 1 || bestValue.quantity > 1;
+
+    if (useUnitPrice && original.unitPrice && bestValue.unitPrice && isFinite(original.unitPrice) && isFinite(bestValue.unitPrice)) {
+        const savedPerUnit = original.unitPrice - bestValue.unitPrice;
+        // Best value is better on overall score but not cheaper per unit
+        if (!(savedPerUnit > 0)) return betterScore;
+        const pctSaved = Math.round((savedPerUnit / original.unitPrice) * 100);
+        const totalSaved = savedPerUnit * (original.unitCount || original.quantity || 1);
+        const perUnit = isMeasured ? ` / ${original.unitLabel}` : '/unit';
+        return {
+            html: `Save <span class="savings-amount">${money(savedPerUnit)}${perUnit} (${pctSaved}%)</span> by switching — that's <span class="savings-amount">${money(totalSaved)} saved</span> on this purchase!`,
+            noSavings: false,
+        };
+    }
+
+    if (original.price && bestValue.price) {
+        // Landed prices, so a coupon or shipping fee counts toward the savings
+        const originalPrice = original.effectivePrice ?? original.price;
+        const saved = originalPrice - (bestValue.effectivePrice ?? bestValue.price);
+        if (!(saved > 0)) return betterScore;
+        const pctSaved = Math.round((saved / originalPrice) * 100);
+        return {
+            html: `Save <span class="savings-amount">${money(saved)} (${pctSaved}%)</span> by switching to the top-rated option!`,
+            noSavings: false,
+        };
+    }
+
+    return null;
+}
+
+/**
+ * The original's cheapest variant per unit, when it beats the original:
+ * "the 48 Count of this same item is 22% cheaper per unit".
+ * @param {Array} products - results.products
+ * @returns {{html: string, url: string}|null}
+ */
+function describeVariantSavings(products) {
+    const original = (products || []).find(p => p.isOriginal);
+    if (!original || !(original.unitPrice > 0) || !isFinite(original.unitPrice)) return null;
+
+    // Only sizes measured the same way (a colour swatch priced per item vs ml won't do)
+    const comparable = p => p.measure?.dimension === original.measure?.dimension;
+    const cheapest = products
+        .filter(p => p.isVariant && comparable(p) && p.unitPrice > 0 && isFinite(p.unitPrice))
+        .sort((a, b) => a.unitPrice - b.unitPrice)[0];
+    if (!cheapest || cheapest.unitPrice >= original.unitPrice) return null;
+
+    const pct = Math.round((1 - cheapest.unitPrice / original.unitPrice) * 100);
+    if (pct < 1) return null;
+    const unitPrice = ScoringEngine.formatUnitPrice(cheapest.unitPrice, cheapest.unitLabel, cheapest.currency);
+    return {
+        html: `The <strong>${escapeHtml(cheapest.variantLabel || 'other size')}</strong> of this same item is <span class="savings-amount">${pct}% cheaper per unit</span> (${escapeHtml(unitPrice)}).`,
+        url: cheapest.url,
+    };
+}
+
+// ─── Price History ───────────────────────────────────────────
+
+/**
+ * Sparkline, 90-day low/high and buy/wait hint from the locally
+ * recorded price history. Empty until a product has been seen twice.
+ */
+function renderHistoryRow(history, money) {
+    if (!history || history.count < 2) return '';
+
+    const range = `90d low ${money(history.low90)} · high ${money(history.high90)}`;
+    const title = `${history.count} days recorded · 30d low ${money(history.low30)} · high ${money(history.high30)}`;
+
+    let hintHtml = '';
+    if (history.hint === 'buy') {
+        hintHtml = '<span class="history-hint buy">✓ Good time to buy</span>';
+    } else if (history.hint === 'wait') {
+        hintHtml = '<span class="history-hint wait">⏳ Consider waiting</span>';
+    }
+    if (history.isLowest) hintHtml += '<span class="history-hint lowest">Lowest seen</span>';
+
+    return `
+    <div class="card-history" title="${escapeHtml(title)}">
+      ${renderSparkline(history.points)}
+      <span class="history-range">${range}</span>
+      ${hintHtml}
+    </div>`;
+}
+
+function renderSparkline(points, width = 60, height = 16) {
+    if (!points || points.length < 2) return '';
+    const prices = points.map(p => p.price);
+    const min = Math.min(...prices);
+    const spread = Math.max(...prices) - min || 1;
+    const first = points[0].t;
+    const span = points[points.length - 1].t - first || 1;
+
+    const coords = points.map(p => {
+        const x = ((p.t - first) / span) * width;
+        const y = height - 1 - ((p.price - min) / spread) * (height - 2);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    return `<svg class="history-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><polyline points="${coords}" /></svg>`;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// ─── Export ──────────────────────────────────────────────────
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.ResultsView = {
+        createProductCard,
+        renderProductDetails,
+        sortProducts,
+        describeSavings,
+        describeVariantSavings,
+        renderHistoryRow,
+        escapeHtml,
+        SORT_ORDERS,
+    };
+}
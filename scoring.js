@@ -1,31 +1,48 @@
 // ============================================================
 // scoring.js — Deterministic Scoring Engine
 // Pure utility module, no AI dependencies.
+// Depends on money.js (MoneyEngine) for currency formatting.
 // ============================================================
 
 /**
- * Weights for the composite score (0-100).
- * When AI is available, Review Sentiment gets 15%.
- * When AI is unavailable, its weight is redistributed.
+ * Factors that make up the composite score (0-100).
  */
-const WEIGHTS_WITH_AI = {
-    unitPrice: 0.30,
-    rating: 0.20,
-    reviewSentiment: 0.15,
-    reviewCount: 0.10,
-    shipping: 0.15,
-    price: 0.10,
-};
+const SCORE_FACTORS = ['unitPrice', 'rating', 'reviewSentiment', 'reviewCount', 'shipping', 'price'];
 
-const WEIGHTS_WITHOUT_AI = {
-    unitPrice: 0.35,
-    rating: 0.25,
-    reviewSentiment: 0,
-    reviewCount: 0.15,
-    shipping: 0.15,
-    price: 0.10,
+/**
+ * Built-in scoring profiles. Weights need not sum to 1 — they are
+ * normalized before use. When AI is unavailable, the profile's Review
+ * Sentiment weight is redistributed across the other factors.
+ */
+const DEFAULT_PROFILES = {
+    balanced: {
+        id: 'balanced',
+        name: 'Balanced',
+        builtIn: true,
+        weights: { unitPrice: 0.30, rating: 0.20, reviewSentiment: 0.15, reviewCount: 0.10, shipping: 0.15, price: 0.10 },
+    },
+    cheapest: {
+        id: 'cheapest',
+        name: 'Cheapest',
+        builtIn: true,
+        weights: { unitPrice: 0.45, rating: 0.10, reviewSentiment: 0.05, reviewCount: 0.05, shipping: 0.10, price: 0.25 },
+    },
+    quality: {
+        id: 'quality',
+        name: 'Best quality',
+        builtIn: true,
+        weights: { unitPrice: 0.10, rating: 0.35, reviewSentiment: 0.25, reviewCount: 0.15, shipping: 0.10, price: 0.05 },
+    },
+    fastest: {
+        id: 'fastest',
+        name: 'Fastest delivery',
+        builtIn: true,
+        weights: { unitPrice: 0.15, rating: 0.15, reviewSentiment: 0.10, reviewCount: 0.05, shipping: 0.45, price: 0.10 },
+    },
 };
 
+const DEFAULT_PROFILE_ID = 'balanced';
+
 // ─── Quantity Extraction ─────────────────────────────────────
 
 const QUANTITY_PATTERNS = [
@@ -53,6 +70,142 @@ function extractQuantity(title) {
     return 1;
 }
 
+// ─── Measure Extraction ──────────────────────────────────────
+
+/**
+ * Size units recognised in titles, in match priority order.
+ * `factor` converts one unit into the dimension's base unit
+ * (volume → ml, weight → g, sheets → sheet, rolls → roll).
+ */
+const MEASURE_UNITS = [
+    { pattern: 'fl\\.?\\s*oz|fluid\\s*ounces?', unit: 'fl oz', dimension: 'volume', factor: 29.5735, imperial: true },
+    { pattern: 'ml|millilit(?:er|re)s?', unit: 'ml', dimension: 'volume', factor: 1 },
+    { pattern: 'l|lit(?:er|re)s?', unit: 'l', dimension: 'volume', factor: 1000 },
+    { pattern: 'gal(?:lons?)?', unit: 'gal', dimension: 'volume', factor: 3785.41, imperial: true },
+    { pattern: 'kg|kilograms?', unit: 'kg', dimension: 'weight', factor: 1000 },
+    { pattern: 'g|grams?', unit: 'g', dimension: 'weight', factor: 1 },
+    { pattern: 'lbs?|pounds?', unit: 'lb', dimension: 'weight', factor: 453.592, imperial: true },
+    { pattern: 'oz|ounces?', unit: 'oz', dimension: 'weight', factor: 28.3495, imperial: true },
+    { pattern: 'sheets?', unit: 'sheets', dimension: 'sheets', factor: 1 },
+    { pattern: 'rolls?', unit: 'rolls', dimension: 'rolls', factor: 1 },
+].map(def => ({
+    ...def,
+    multiRegex: new RegExp(`(\\d+)\\s*[x×]\\s*(\\d+(?:\\.\\d+)?)\\s*-?\\s*(?:${def.pattern})\\b`, 'i'),
+    sizeRegex: new RegExp(`(\\d+(?:\\.\\d+)?)\\s*-?\\s*(?:${def.pattern})\\b`, 'i'),
+}));
+
+/**
+ * Units prices are normalised to for display, per dimension.
+ * `base` is how many base units one display unit holds.
+ */
+const DISPLAY_UNITS = {
+    volume: { metric: { label: '100 ml', base: 100 }, imperial: { label: 'fl oz', base: 29.5735 } },
+    weight: { metric: { label: '100 g', base: 100 }, imperial: { label: 'oz', base: 28.3495 } },
+    sheets: { metric: { label: '100 sheets', base: 100 } },
+    rolls: { metric: { label: 'roll', base: 1 } },
+    count: { metric: { label: 'ea', base: 1 } },
+};
+
+/**
+ * Extract quantity × size × unit from a product title.
+ * "24 x 500ml" → 24 × 500 ml, "64 fl oz" → 1 × 64 fl oz,
+ * "6 Rolls, 120 Sheets per Roll" → 6 × 120 sheets.
+ * Titles without a recognised size fall back to a plain item count.
+ * @param {string} title
+ * @returns {{count: number, size: number, unit: string|null, dimension: string, amount: number, imperial: boolean}}
+ *   `amount` is the total in the dimension's base unit.
+ */
+function extractMeasure(title) {
+    const count = extractQuantity(title);
+    const fallback = { count, size: 1, unit: null, dimension: 'count', amount: count, imperial: false };
+    if (!title) return fallback;
+
+    for (const def of MEASURE_UNITS) {
+        let itemCount;
+        let size;
+
+        const multi = title.match(def.multiRegex);
+        if (multi) {
+            itemCount = parseInt(multi[1], 10);
+            size = parseFloat(multi[2]);
+        } else {
+            const single = title.match(def.sizeRegex);
+            if (!single) continue;
+            size = parseFloat(single[1]);
+            // Count from the rest of the title so "120 sheets" isn't read as 120 items too
+            itemCount = extractQuantity(title.replace(single[0], ' '));
+        }
+
+        if (!(size > 0) || !(itemCount > 0)) continue;
+
+        return {
+            count: itemCount,
+            size,
+            unit: def.unit,
+            dimension: def.dimension,
+            amount: itemCount * size * def.factor,
+            imperial: !!def.imperial,
+        };
+    }
+    return fallback;
+}
+
+/**
+ * Choose the common unit a set of products is compared in: the dimension
+ * most products share (ties go to the reference product), displayed in the
+ * reference product's unit system.
+ * @param {Array<object>} measures - Results of extractMeasure
+ * @param {object} [reference] - Measure of the product being optimized
+ * @returns {{dimension: string, label: string, base: number}}
+ */
+function getUnitBasis(measures, reference = null) {
+    const tally = {};
+    measures.forEach(m => { tally[m.dimension] = (tally[m.dimension] || 0) + 1; });
+
+    let dimension = reference ? reference.dimension : 'count';
+    Object.entries(tally).forEach(([dim, n]) => {
+        if (n > (tally[dimension] || 0)) dimension = dim;
+    });
+
+    const sample = reference && reference.dimension === dimension
+        ? reference
+        : measures.find(m => m.dimension === dimension);
+    const systems = DISPLAY_UNITS[dimension] || DISPLAY_UNITS.count;
+    const display = (sample && sample.imperial && systems.imperial) || systems.metric;
+
+    return { dimension, label: display.label, base: display.base };
+}
+
+// ─── Variants ────────────────────────────────────────────────
+
+/**
+ * Title for another variant of a product, so its size is read from it:
+ * the original's variant values ("24 Count") are swapped for the
+ * variant's ("48 Count") where the title has them. Values the title
+ * doesn't carry go in front, where the size parsers look first.
+ * @param {string} title - The original product's title
+ * @param {string[]} currentValues - The original's variant values, per dimension
+ * @param {string[]} variantValues - The variant's values, per dimension
+ * @returns {string}
+ */
+function buildVariantTitle(title, currentValues = [], variantValues = []) {
+    let result = title || '';
+    const missing = [];
+    variantValues.forEach((value, i) => {
+        const current = currentValues[i];
+        if (current && current !== value) {
+            const escaped = current.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(escaped, 'i');
+            if (pattern.test(result)) {
+                result = result.replace(pattern, () => value);
+                return;
+            }
+        }
+        if (current !== value) missing.push(value);
+    });
+    return missing.length > 0 ? `${missing.join(', ')} · ${result}` : result;
+}
+
 // ─── Unit Price ──────────────────────────────────────────────
 
 /**
@@ -66,6 +219,146 @@ function calculateUnitPrice(price, quantity) {
     return price / Math.max(quantity, 1);
 }
 
+/**
+ * Calculate price per display unit of a unit basis (e.g. per 100 ml).
+ * @param {number} price
+ * @param {object} measure - Result of extractMeasure
+ * @param {object} basis - Result of getUnitBasis
+ * @returns {number} Infinity when the price is missing or the measure isn't comparable
+ */
+function calculateMeasureUnitPrice(price, measure, basis) {
+    if (!price || price <= 0) return Infinity;
+    if (!measure || measure.dimension !== basis.dimension || !(measure.amount > 0)) return Infinity;
+    return price / (measure.amount / basis.base);
+}
+
+/**
+ * Format a unit price with its label, e.g. "$0.21 / 100 ml" or "1,50 €/ea".
+ * @param {number} unitPrice
+ * @param {string} unitLabel
+ * @param {string} [currency] - ISO code, USD by default
+ * @returns {string}
+ */
+function formatUnitPrice(unitPrice, unitLabel, currency) {
+    if (!isFinite(unitPrice)) return 'N/A';
+    const amount = MoneyEngine.formatMoney(unitPrice, currency);
+    if (!unitLabel || unitLabel === 'ea') return `${amount}/ea`;
+    return `${amount} / ${unitLabel}`;
+}
+
+// ─── Seller Offers ───────────────────────────────────────────
+
+// Offer conditions a shopper can accept, as parsed from the offer listing
+const OFFER_CONDITIONS = ['new', 'renewed', 'used'];
+const DEFAULT_OFFER_CONDITIONS = ['new'];
+
+/**
+ * Keep the known conditions; nothing valid means the default (new only).
+ * @param {Array<string>} raw
+ * @returns {Array<string>}
+ */
+function normalizeOfferConditions(raw) {
+    const conditions = Array.isArray(raw) ? OFFER_CONDITIONS.filter(c => raw.includes(c)) : [];
+    return conditions.length > 0 ? conditions : [...DEFAULT_OFFER_CONDITIONS];
+}
+
+/**
+ * Cheapest offer (price plus shipping) in an acceptable condition.
+ * @param {Array} offers - { price, shippingCost, condition, seller, ... }
+ * @param {Array<string>} [conditions]
+ * @returns {object|null}
+ */
+function selectBestOffer(offers, conditions = DEFAULT_OFFER_CONDITIONS) {
+    if (!Array.isArray(offers)) return null;
+    const landed = o => o.price + (o.shippingCost > 0 ? o.shippingCost : 0);
+    return offers
+        .filter(o => o.price > 0 && conditions.includes(o.condition))
+        .sort((a, b) => landed(a) - landed(b))[0] || null;
+}
+
+/**
+ * The other seller's offer a product is priced at: the best acceptable
+ * offer, when it lands below the buy box with its coupons and fees.
+ * @param {object} product - { price, offers, shipping, pricing }
+ * @param {object} [options] - See getPriceAdjustments
+ * @returns {{offer: object, adjustments: Array}|null}
+ */
+function chooseOffer(product, options = {}) {
+    const price = product && product.price;
+    const offer = selectBestOffer(product && product.offers, normalizeOfferConditions(options.offerConditions));
+    if (!(price > 0) || !offer) return null;
+
+    const condition = offer.conditionLabel || offer.condition;
+    const label = offer.seller ? `${condition} offer from ${offer.seller}` : `${condition} offer`;
+    const adjustments = [{ label, amount: offer.price - price }];
+    if (offer.shippingCost > 0) adjustments.push({ label: 'shipping', amount: offer.shippingCost });
+
+    const total = list => list.reduce((sum, adj) => sum + adj.amount, 0);
+    return total(adjustments) < total(getListingAdjustments(product, options)) ? { offer, adjustments } : null;
+}
+
+// ─── Landed Cost ─────────────────────────────────────────────
+
+/**
+ * Discounts and fees between the listed price and what is actually paid,
+ * as signed amounts (negative = saving). When another seller's offer is
+ * cheaper, the difference to it replaces the buy box's coupons and fees.
+ * @param {object} product - { price, shipping, pricing, offers? }
+ * @param {object} [options]
+ * @param {boolean} [options.subscribeSave] - Count Subscribe & Save discounts
+ * @param {Array<string>} [options.offerConditions] - Acceptable offer conditions
+ * @returns {Array<{label: string, amount: number}>}
+ */
+function getPriceAdjustments(product, options = {}) {
+    const chosen = chooseOffer(product, options);
+    return chosen ? chosen.adjustments : getListingAdjustments(product, options);
+}
+
+// Coupons, Subscribe & Save and shipping of the buy box offer
+function getListingAdjustments(product, options = {}) {
+    const adjustments = [];
+    const price = product && product.price;
+    if (!(price > 0)) return adjustments;
+
+    const pricing = product.pricing || {};
+    const coupon = pricing.coupon;
+    if (coupon && coupon.value > 0) {
+        const amount = coupon.type === 'percent' ? price * coupon.value / 100 : coupon.value;
+        adjustments.push({
+            label: coupon.type === 'percent' ? `${coupon.value}% coupon` : 'coupon',
+            amount: -Math.min(amount, price),
+        });
+    }
+
+    if (options.subscribeSave && pricing.subscribeSavePercent > 0) {
+        adjustments.push({
+            label: `${pricing.subscribeSavePercent}% Subscribe & Save`,
+            amount: -price * pricing.subscribeSavePercent / 100,
+        });
+    }
+
+    const shippingCost = product.shipping && product.shipping.cost;
+    if (shippingCost > 0 && !product.shipping.isPrime && !product.shipping.isFree) {
+        adjustments.push({ label: 'shipping', amount: shippingCost });
+    }
+
+    return adjustments;
+}
+
+/**
+ * Effective landed price: listed price with coupons, optional Subscribe &
+ * Save and shipping fees applied.
+ * @param {object} product
+ * @param {object} [options] - See getPriceAdjustments
+ * @returns {number|null} null when the product has no price
+ */
+function calculateEffectivePrice(product, options = {}) {
+    if (!product || !(product.price > 0)) return null;
+    const total = getPriceAdjustments(product, options)
+        .reduce((sum, adj) => sum + adj.amount, product.price);
+    return Math.max(0.01, Math.round(total * 100) / 100);
+}
+
 // ─── Fallback Search Query Builder ───────────────────────────
 
 const STOP_WORDS = new Set([
@@ -84,40 +377,181 @@ const UNIT_WORDS = new Set([
 ]);
 
 /**
- * Build search query by extracting meaningful keywords from a product title.
- * Used as fallback when AI is unavailable.
+ * Extra stop and unit words for titles on non-English storefronts (see the
+ * `language` of each entry in marketplaces.js). English words still apply,
+ * since marketing words like "pro" or "max" appear in every language.
+ */
+const LANGUAGE_WORDS = {
+    de: {
+        stop: ['der', 'die', 'das', 'und', 'oder', 'mit', 'für', 'von', 'zu', 'im', 'in', 'auf', 'aus', 'ein', 'eine', 'neu'],
+        unit: ['stück', 'stk', 'packung', 'gramm', 'liter', 'zoll'],
+    },
+    fr: {
+        stop: ['le', 'la', 'les', 'de', 'des', 'du', 'et', 'ou', 'pour', 'avec', 'en', 'un', 'une', 'sur', 'nouveau'],
+        unit: ['pièces', 'pièce', 'lot', 'paquet', 'litre', 'litres', 'grammes', 'unités'],
+    },
+    es: {
+        stop: ['el', 'la', 'los', 'las', 'de', 'del', 'y', 'o', 'para', 'con', 'en', 'un', 'una', 'por', 'nuevo'],
+        unit: ['piezas', 'pieza', 'paquete', 'unidades', 'litro', 'litros', 'gramos'],
+    },
+    it: {
+        stop: ['il', 'lo', 'la', 'i', 'gli', 'le', 'di', 'del', 'della', 'e', 'o', 'per', 'con', 'in', 'un', 'una', 'nuovo'],
+        unit: ['pezzi', 'pezzo', 'confezione', 'litro', 'litri', 'grammi'],
+    },
+    nl: {
+        stop: ['de', 'het', 'een', 'en', 'of', 'voor', 'met', 'van', 'in', 'op', 'nieuw'],
+        unit: ['stuks', 'stuk', 'pak', 'verpakking', 'gram'],
+    },
+    sv: {
+        stop: ['och', 'eller', 'för', 'med', 'av', 'en', 'ett', 'i', 'på', 'till', 'ny'],
+        unit: ['st', 'styck', 'förpackning', 'gram'],
+    },
+    ja: {
+        stop: ['新品', '送料無料', '正規品'],
+        unit: ['個', '本', '枚', '袋', 'パック', 'セット', '個入り'],
+    },
+};
+
+const wordListCache = {};
+
+/**
+ * Stop and unit words for a title language.
+ * @param {string} language - ISO 639-1 code, e.g. 'de'
+ * @returns {{stop: Set<string>, unit: Set<string>}}
+ */
+function getWordLists(language = 'en') {
+    if (!wordListCache[language]) {
+        const extra = LANGUAGE_WORDS[language] || { stop: [], unit: [] };
+        wordListCache[language] = {
+            stop: new Set([...STOP_WORDS, ...extra.stop]),
+            unit: new Set([...UNIT_WORDS, ...extra.unit]),
+        };
+    }
+    return wordListCache[language];
+}
+
+/**
+ * Extract meaningful keywords from a product title, in title order:
+ * lowercased, without stop words, units, or bare numbers.
  * @param {string} title
- * @returns {string}
+ * @param {string} [language] - Title language; English by default
+ * @returns {string[]}
  */
-function buildSearchQueryFallback(title) {
-    if (!title) return '';
+function extractKeywords(title, language = 'en') {
+    if (!title) return [];
+    const { stop, unit } = getWordLists(language);
 
     const words = title
-        .replace(/[,\-–—|()[\]{}]/g, ' ')
+        .replace(/[,\-–—|()[\]{}、・【】「」／]/g, ' ')
         .split(/\s+/)
         .map(w => w.toLowerCase().trim())
         .filter(w => w.length > 1);
 
-    const keywords = words.filter(w => {
-        if (STOP_WORDS.has(w)) return false;
-        if (UNIT_WORDS.has(w)) return false;
+    return words.filter(w => {
+        if (stop.has(w)) return false;
+        if (unit.has(w)) return false;
         if (/^\d+$/.test(w)) return false;           // pure numbers
         if (/^\d+[x×]\d*$/.test(w)) return false;    // dimensions like 4x
         return true;
     });
+}
+
+/**
+ * Build search query by extracting meaningful keywords from a product title.
+ * Used as fallback when AI is unavailable.
+ * @param {string} title
+ * @param {string} [language] - Title language of the storefront
+ * @returns {string}
+ */
+function buildSearchQueryFallback(title, language = 'en') {
+    if (!title) return '';
 
     // Take first 5 meaningful keywords to keep query focused
-    return keywords.slice(0, 5).join(' ');
+    return extractKeywords(title, language).slice(0, 5).join(' ');
+}
+
+/**
+ * Search queries for candidate discovery, in order: the AI query, the
+ * keyword fallback, the fallback without brand words, and a brand-less
+ * core with the product's size ("laundry detergent 64 fl oz"). Empty and
+ * repeated queries are skipped.
+ * @param {string} title
+ * @param {object} [options]
+ * @param {string} [options.aiQuery] - From AIEngine.buildSearchQuery
+ * @param {string} [options.brand]
+ * @param {string} [options.language] - Title language of the storefront
+ * @param {number} [options.maxQueries]
+ * @returns {string[]}
+ */
+function buildSearchQueries(title, options = {}) {
+    const { aiQuery = '', brand = '', language = 'en', maxQueries = 3 } = options;
+    const keywords = extractKeywords(title, language);
+    const brandWords = new Set(extractKeywords(brand || '', language));
+    const brandless = keywords.filter(w => !brandWords.has(w));
+
+    const measure = extractMeasure(title);
+    const sized = measure.unit && brandless.length > 0
+        ? `${brandless.slice(0, 4).join(' ')} ${measure.size} ${measure.unit}`
+        : '';
+
+    const queries = [];
+    [aiQuery, keywords.slice(0, 5).join(' '), brandless.slice(0, 5).join(' '), sized].forEach(query => {
+        const q = (query || '').replace(/\s+/g, ' ').trim();
+        if (q && !queries.some(existing => existing.toLowerCase() === q.toLowerCase())) queries.push(q);
+    });
+    return queries.slice(0, Math.max(1, maxQueries));
+}
+
+// ─── Rating Credibility ──────────────────────────────────────
+
+const DEFAULT_RATING_PRIOR = { mean: 4.0, weight: 25 };
+
+/**
+ * Derive a rating prior from the candidate set: the mean star rating of
+ * rated products, weighted by the median review count (so a rating needs
+ * about as many reviews as a typical candidate to count fully).
+ * @param {Array} products
+ * @returns {{mean: number, weight: number}}
+ */
+function getRatingPrior(products) {
+    const rated = (products || []).filter(p => p.rating > 0 && p.reviewCount > 0);
+    if (rated.length === 0) return { ...DEFAULT_RATING_PRIOR };
+
+    const mean = rated.reduce((sum, p) => sum + p.rating, 0) / rated.length;
+    const counts = rated.map(p => p.reviewCount).sort((a, b) => a - b);
+    const median = counts[Math.floor(counts.length / 2)];
+
+    return { mean, weight: Math.max(5, Math.min(500, median)) };
+}
+
+/**
+ * Bayesian (confidence-adjusted) rating: pulls ratings with few reviews
+ * toward the prior mean. A missing rating is unknown, not zero stars, so
+ * it gets the prior mean.
+ * @param {number|null} rating - 0-5 stars
+ * @param {number} reviewCount
+ * @param {{mean: number, weight: number}} prior
+ * @returns {number} adjusted rating, 0-5
+ */
+function getAdjustedRating(rating, reviewCount, prior = DEFAULT_RATING_PRIOR) {
+    if (!(rating > 0)) return prior.mean;
+    const votes = Math.max(reviewCount || 0, 0);
+    return (votes * rating + prior.weight * prior.mean) / (votes + prior.weight);
 }
 
 // ─── Shipping Score ──────────────────────────────────────────
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deliveries this many days out (or more) get no speed credit
+const DELIVERY_HORIZON_DAYS = 14;
+
 /**
- * Get shipping score (0-100).
+ * Shipping cost component (0-100): free beats paid beats unknown.
  * @param {object} shipping - { isPrime, isFree, cost }
  * @returns {number}
  */
-function getShippingScore(shipping) {
+function getShippingCostScore(shipping) {
     if (!shipping) return 25;
     if (shipping.isPrime || shipping.isFree) return 100;
     if (shipping.cost === 0) return 100;
@@ -125,15 +559,295 @@ function getShippingScore(shipping) {
     return 25;
 }
 
+/**
+ * Whole days from now until the latest estimated delivery date.
+ * @param {object} delivery - { earliest, latest } as epoch ms
+ * @param {number} [now]
+ * @returns {number|null} null when there is no estimate
+ */
+function getDeliveryDays(delivery, now = Date.now()) {
+    if (!delivery || !isFinite(delivery.latest)) return null;
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    return Math.max(0, Math.round((delivery.latest - today.getTime()) / DAY_MS));
+}
+
+/**
+ * Get shipping score (0-100) from cost and, when the delivery estimate is
+ * known, how soon it arrives (100 for today/tomorrow, 0 at the horizon).
+ * Without an estimate the score is cost-only.
+ * @param {object} shipping - { isPrime, isFree, cost, delivery }
+ * @param {object} [options] - { now }
+ * @returns {number}
+ */
+function getShippingScore(shipping, options = {}) {
+    const costScore = getShippingCostScore(shipping);
+    const days = getDeliveryDays(shipping && shipping.delivery, options.now);
+    if (days === null) return costScore;
+
+    const speedScore = Math.max(0, 1 - Math.max(0, days - 1) / (DELIVERY_HORIZON_DAYS - 1)) * 100;
+    return costScore * 0.5 + speedScore * 0.5;
+}
+
+/**
+ * Parse a need-by date from an <input type="date"> value ("2026-10-22").
+ * @param {string} value
+ * @returns {number|null} end of that local day as epoch ms
+ */
+function parseNeedBy(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    return new Date(+match[1], +match[2] - 1, +match[3], 23, 59, 59, 999).getTime();
+}
+
+/**
+ * Whether a product may arrive after the need-by date. Uses the latest
+ * estimate, so a range that straddles the date counts as late.
+ * @param {object} shipping
+ * @param {string} needBy - "YYYY-MM-DD"
+ * @returns {boolean|null} null when either date is unknown
+ */
+function isDeliveryLate(shipping, needBy) {
+    const deadline = parseNeedBy(needBy);
+    const delivery = shipping && shipping.delivery;
+    if (deadline === null || !delivery || !isFinite(delivery.latest)) return null;
+    return delivery.latest > deadline;
+}
+
+/**
+ * Short delivery label: "Oct 22" or "Oct 28 – Nov 3".
+ * @param {object} delivery - { earliest, latest }
+ * @returns {string}
+ */
+function formatDeliveryRange(delivery) {
+    if (!delivery || !isFinite(delivery.latest)) return '';
+    const fmt = ms => new Date(ms).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const earliest = isFinite(delivery.earliest) ? delivery.earliest : delivery.latest;
+    return earliest === delivery.latest
+        ? fmt(delivery.latest)
+        : `${fmt(earliest)} – ${fmt(delivery.latest)}`;
+}
+
+// ─── Hard Constraints ────────────────────────────────────────
+
+/**
+ * Default purchase constraints — everything off.
+ * maxUnitPrice is in the unit the candidate set is compared in (see getUnitBasis).
+ */
+const DEFAULT_CONSTRAINTS = {
+    maxPrice: null,
+    maxUnitPrice: null,
+    minRating: null,
+    minReviewCount: null,
+    primeOrFreeOnly: false,
+    brandInclude: [],
+    brandExclude: [],
+    // "YYYY-MM-DD"; late items are removed ('filter') or scored down ('penalize')
+    needBy: null,
+    needByMode: 'filter',
+};
+
+/**
+ * Coerce raw constraint values (e.g. from form fields) into a constraints
+ * object: blank or non-positive numbers mean "off", brand lists may be
+ * comma-separated strings.
+ * @param {object} raw
+ * @returns {object}
+ */
+function normalizeConstraints(raw = {}) {
+    const num = v => {
+        const n = parseFloat(v);
+        return isFinite(n) && n > 0 ? n : null;
+    };
+    const list = v => (Array.isArray(v) ? v : String(v || '').split(','))
+        .map(b => String(b).trim())
+        .filter(Boolean);
+
+    return {
+        maxPrice: num(raw.maxPrice),
+        maxUnitPrice: num(raw.maxUnitPrice),
+        minRating: num(raw.minRating),
+        minReviewCount: num(raw.minReviewCount),
+        primeOrFreeOnly: !!raw.primeOrFreeOnly,
+        brandInclude: list(raw.brandInclude),
+        brandExclude: list(raw.brandExclude),
+        needBy: parseNeedBy(raw.needBy) !== null ? raw.needBy : null,
+        needByMode: raw.needByMode === 'penalize' ? 'penalize' : 'filter',
+    };
+}
+
+/**
+ * Count how many constraints are switched on.
+ * @param {object} constraints
+ * @returns {number}
+ */
+function countActiveConstraints(constraints) {
+    const { needByMode, ...c } = normalizeConstraints(constraints);
+    return Object.values(c).filter(v => (Array.isArray(v) ? v.length > 0 : !!v)).length;
+}
+
+/**
+ * Whether a product belongs to one of the given brands. Uses the parsed
+ * brand when available, otherwise the start of the title.
+ * @param {object} product - { brand, title }
+ * @param {string[]} brands
+ * @returns {boolean}
+ */
+function matchesBrand(product, brands) {
+    const brand = (product.brand || '').toLowerCase();
+    const title = (product.title || '').toLowerCase();
+    return brands.some(entry => {
+        const b = entry.trim().toLowerCase();
+        if (!b) return false;
+        if (brand) return brand === b;
+        return title === b || title.startsWith(`${b} `);
+    });
+}
+
+/**
+ * List the constraints a product breaks, as human-readable strings.
+ * @param {object} product - Needs .unitPrice/.unitLabel for the unit price check
+ * @param {object} constraints
+ * @returns {string[]}
+ */
+function getConstraintViolations(product, constraints) {
+    const c = { ...DEFAULT_CONSTRAINTS, ...constraints };
+    const violations = [];
+
+    const price = product.effectivePrice ?? product.price;
+    if (c.maxPrice > 0 && price > c.maxPrice) {
+        violations.push(`Price ${MoneyEngine.formatMoney(price, product.currency)} is above your max of ${MoneyEngine.formatMoney(c.maxPrice, product.currency)}`);
+    }
+    if (c.maxUnitPrice > 0 && isFinite(product.unitPrice) && product.unitPrice > c.maxUnitPrice) {
+        violations.push(`Unit price ${formatUnitPrice(product.unitPrice, product.unitLabel, product.currency)} is above your max of ${formatUnitPrice(c.maxUnitPrice, product.unitLabel, product.currency)}`);
+    }
+    if (c.minRating > 0 && !(product.rating >= c.minRating)) {
+        violations.push(product.rating
+            ? `Rated ${product.rating}★, below your minimum of ${c.minRating}★`
+            : `No rating (minimum ${c.minRating}★)`);
+    }
+    if (c.minReviewCount > 0 && !((product.reviewCount || 0) >= c.minReviewCount)) {
+        violations.push(`${(product.reviewCount || 0).toLocaleString()} reviews, below your minimum of ${c.minReviewCount.toLocaleString()}`);
+    }
+    if (c.primeOrFreeOnly && !(product.shipping?.isPrime || product.shipping?.isFree || product.shipping?.cost === 0)) {
+        violations.push('Not Prime or free shipping');
+    }
+    if (c.brandInclude && c.brandInclude.length > 0 && !matchesBrand(product, c.brandInclude)) {
+        violations.push('Brand is not in your allow list');
+    }
+    if (c.brandExclude && c.brandExclude.length > 0 && matchesBrand(product, c.brandExclude)) {
+        violations.push(`Brand${product.brand ? ` "${product.brand}"` : ''} is on your block list`);
+    }
+    if (c.needBy && c.needByMode !== 'penalize' && isDeliveryLate(product.shipping, c.needBy)) {
+        violations.push(`Arrives ${formatDeliveryRange(product.shipping.delivery)}, after your need-by date`);
+    }
+
+    return violations;
+}
+
+/**
+ * Apply hard purchase constraints before scoring. Candidates that break a
+ * constraint are removed; the original product is always kept (it's the
+ * reference) but carries .constraintViolations so it can't be crowned.
+ *
+ * @param {Array} products
+ * @param {object} constraints - See DEFAULT_CONSTRAINTS
+ * @param {object} [options] - Pricing options, see getPriceAdjustments
+ * @returns {{passed: Array, removed: Array}} removed entries carry .constraintViolations
+ */
+function applyConstraints(products, constraints, options = {}) {
+    if (!products || products.length === 0) return { passed: [], removed: [] };
+
+    // Unit prices in the same basis scoreProducts will use
+    const measures = products.map(p => extractMeasure(p.title));
+    const reference = products.findIndex(p => p.isOriginal);
+    const basis = getUnitBasis(measures, measures[reference >= 0 ? reference : 0]);
+
+    const passed = [];
+    const removed = [];
+
+    products.forEach((p, i) => {
+        const effectivePrice = calculateEffectivePrice(p, options);
+        const violations = getConstraintViolations({
+            ...p,
+            effectivePrice,
+            unitPrice: calculateMeasureUnitPrice(effectivePrice, measures[i], basis),
+            unitLabel: basis.label,
+        }, constraints);
+
+        if (violations.length === 0) {
+            passed.push(p);
+        } else if (p.isOriginal) {
+            passed.push({ ...p, constraintViolations: violations });
+        } else {
+            removed.push({ ...p, constraintViolations: violations });
+        }
+    });
+
+    return { passed, removed };
+}
+
 // ─── Main Scoring Function ───────────────────────────────────
 
 /**
- * Get the appropriate weights based on AI availability.
+ * List built-in profiles followed by user-defined ones.
+ * @param {Array<object>} [customProfiles] - Profiles saved in chrome.storage
+ * @returns {Array<object>}
+ */
+function listProfiles(customProfiles = []) {
+    return [...Object.values(DEFAULT_PROFILES), ...(customProfiles || [])];
+}
+
+/**
+ * Find a profile by id, falling back to the default profile.
+ * @param {string} profileId
+ * @param {Array<object>} [customProfiles]
+ * @returns {object}
+ */
+function resolveProfile(profileId, customProfiles = []) {
+    return listProfiles(customProfiles).find(p => p.id === profileId)
+        || DEFAULT_PROFILES[DEFAULT_PROFILE_ID];
+}
+
+/**
+ * Scale weights so they sum to 1. Missing or negative factors count as 0.
+ * @param {object} weights
+ * @returns {object}
+ */
+function normalizeWeights(weights) {
+    const clean = {};
+    SCORE_FACTORS.forEach(key => {
+        const w = Number(weights && weights[key]);
+        clean[key] = isFinite(w) && w > 0 ? w : 0;
+    });
+
+    const total = SCORE_FACTORS.reduce((sum, key) => sum + clean[key], 0);
+    if (total <= 0) return { ...DEFAULT_PROFILES[DEFAULT_PROFILE_ID].weights };
+
+    SCORE_FACTORS.forEach(key => { clean[key] /= total; });
+    return clean;
+}
+
+/**
+ * Get the weights to score with, based on AI availability.
+ * Without AI, the sentiment weight is spread over the other factors in
+ * proportion to their weight in the profile.
  * @param {boolean} hasAI
+ * @param {object} [profileWeights] - Weights of the active profile
  * @returns {object}
  */
-function getWeights(hasAI) {
-    return hasAI ? { ...WEIGHTS_WITH_AI } : { ...WEIGHTS_WITHOUT_AI };
+function getWeights(hasAI, profileWeights = DEFAULT_PROFILES[DEFAULT_PROFILE_ID].weights) {
+    const weights = normalizeWeights(profileWeights);
+    if (hasAI) return weights;
+
+    const others = SCORE_FACTORS.filter(key => key !== 'reviewSentiment');
+    const remaining = others.reduce((sum, key) => sum + weights[key], 0);
+
+    others.forEach(key => {
+        weights[key] = remaining > 0 ? weights[key] / remaining : 1 / others.length;
+    });
+    weights.reviewSentiment = 0;
+    return weights;
 }
 
 /**
@@ -142,44 +856,76 @@ function getWeights(hasAI) {
  * @param {Array} products - Array of product objects with:
  *   { title, price, rating, reviewCount, shipping, imageUrl, url, asin }
  * @param {Object|null} aiSentiments - Map of ASIN → sentimentScore (0-100), or null
- * @returns {Array} products sorted by score descending, each with .score and .breakdown
+ * @param {Object} [options]
+ * @param {Object} [options.weights] - Weights of the active scoring profile
+ * @param {Object} [options.ratingPrior] - { mean, weight } prior for adjusted ratings;
+ *   derived from the candidate set when omitted
+ * @param {boolean} [options.subscribeSave] - Price with Subscribe & Save discounts
+ * @param {string} [options.needBy] - "YYYY-MM-DD"; items that may arrive later are penalized
+ * @param {number} [options.now] - Reference time for delivery estimates
+ * @returns {Array} products sorted by score descending, each with .score, .breakdown
+ *   and .unitPrice expressed per .unitLabel (e.g. "100 ml")
  */
-function scoreProducts(products, aiSentiments = null) {
+function scoreProducts(products, aiSentiments = null, options = {}) {
     if (!products || products.length === 0) return [];
 
     const hasAI = aiSentiments && Object.keys(aiSentiments).length > 0;
-    const weights = getWeights(hasAI);
+    const weights = getWeights(hasAI, options.weights);
 
     // Pre-calculate derived values
-    const enriched = products.map(p => ({
-        ...p,
-        quantity: extractQuantity(p.title),
-        unitPrice: 0,
-    }));
+    const enriched = products.map(p => {
+        const measure = extractMeasure(p.title);
+        return {
+            ...p,
+            measure,
+            quantity: measure.count,
+            // What is actually paid — drives both the price and unit-price factors
+            effectivePrice: calculateEffectivePrice(p, options),
+            priceAdjustments: getPriceAdjustments(p, options),
+            bestOffer: chooseOffer(p, options)?.offer || null,
+            unitPrice: 0,
+        };
+    });
+
+    // Compare unit prices in one common unit (per 100 ml, per oz, per item...)
+    const reference = enriched.find(p => p.isOriginal) || enriched[0];
+    const basis = getUnitBasis(enriched.map(p => p.measure), reference.measure);
 
     enriched.forEach(p => {
-        p.unitPrice = calculateUnitPrice(p.price, p.quantity);
+        p.unitComparable = p.measure.dimension === basis.dimension;
+        p.unitPrice = calculateMeasureUnitPrice(p.effectivePrice, p.measure, basis);
+        p.unitLabel = basis.label;
+        p.unitCount = p.unitComparable ? p.measure.amount / basis.base : null;
     });
 
     // Find max values for normalization (only from finite values)
-    const finitePrices = enriched.filter(p => isFinite(p.price) && p.price > 0);
+    const finitePrices = enriched.filter(p => isFinite(p.effectivePrice) && p.effectivePrice > 0);
     const finiteUnitPrices = enriched.filter(p => isFinite(p.unitPrice));
 
-    const maxPrice = Math.max(...finitePrices.map(p => p.price), 1);
-    const maxUnitPrice = Math.max(...finiteUnitPrices.map(p => p.unitPrice), 1);
+    const maxPrice = Math.max(...finitePrices.map(p => p.effectivePrice), 1);
+    // No floor of 1 here: normalised unit prices (e.g. per 100 ml) are often below $1
+    const maxUnitPrice = finiteUnitPrices.length
+        ? Math.max(...finiteUnitPrices.map(p => p.unitPrice))
+        : 1;
     const maxReviews = Math.max(...enriched.map(p => p.reviewCount || 0), 1);
+    const ratingPrior = options.ratingPrior || getRatingPrior(enriched);
 
     // Score each product
     enriched.forEach(p => {
         const breakdown = {};
 
-        // Unit Price score (lower is better)
-        breakdown.unitPrice = isFinite(p.unitPrice)
-            ? (1 - p.unitPrice / maxUnitPrice) * 100
-            : 0;
+        // Unit Price score (lower is better); sizes we can't compare stay neutral
+        if (!p.unitComparable) {
+            breakdown.unitPrice = 50;
+        } else {
+            breakdown.unitPrice = isFinite(p.unitPrice)
+                ? (1 - p.unitPrice / maxUnitPrice) * 100
+                : 0;
+        }
 
-        // Rating score
-        breakdown.rating = ((p.rating || 0) / 5) * 100;
+        // Rating score (confidence-adjusted by review volume)
+        p.ratingAdjusted = getAdjustedRating(p.rating, p.reviewCount, ratingPrior);
+        breakdown.rating = (p.ratingAdjusted / 5) * 100;
 
         // Review Count score (log scale)
         breakdown.reviewCount = maxReviews > 1
@@ -187,11 +933,14 @@ function scoreProducts(products, aiSentiments = null) {
             : 50;
 
         // Shipping score
-        breakdown.shipping = getShippingScore(p.shipping);
+        breakdown.shipping = getShippingScore(p.shipping, options);
+        // Arriving after the need-by date forfeits all shipping credit
+        p.lateDelivery = isDeliveryLate(p.shipping, options.needBy) === true;
+        if (p.lateDelivery) breakdown.shipping = 0;
 
         // Price score (lower is better)
-        breakdown.price = isFinite(p.price) && p.price > 0
-            ? (1 - p.price / maxPrice) * 100
+        breakdown.price = isFinite(p.effectivePrice) && p.effectivePrice > 0
+            ? (1 - p.effectivePrice / maxPrice) * 100
             : 0;
 
         // AI Review Sentiment score
@@ -204,6 +953,11 @@ function scoreProducts(products, aiSentiments = null) {
             return sum + (breakdown[key] || 0) * weights[key];
         }, 0);
 
+        // Penalties applied by earlier pipeline stages (e.g. low relevance)
+        if (typeof p.scoreMultiplier === 'number') {
+            p.score *= p.scoreMultiplier;
+        }
+
         // Clamp to 0-100
         p.score = Math.round(Math.max(0, Math.min(100, p.score)));
         p.breakdown = breakdown;
@@ -212,9 +966,10 @@ function scoreProducts(products, aiSentiments = null) {
     // Sort by score descending
     enriched.sort((a, b) => b.score - a.score);
 
-    // Tag the winner
-    if (enriched.length > 0) {
-        enriched[0].isBestValue = true;
+    // Tag the winner — the top product that doesn't break a hard constraint
+    const winner = enriched.find(p => !(p.constraintViolations && p.constraintViolations.length));
+    if (winner) {
+        winner.isBestValue = true;
     }
 
     return enriched;
@@ -230,25 +985,34 @@ function scoreProducts(products, aiSentiments = null) {
 function generateFallbackSummary(rankedProducts) {
     if (!rankedProducts || rankedProducts.length === 0) return '';
 
-    const best = rankedProducts[0];
+    const best = rankedProducts.find(p => p.isBestValue) || rankedProducts[0];
     const parts = [];
 
     parts.push(`**${best.title}** is the top pick with a score of ${best.score}/100.`);
 
-    if (best.quantity > 1) {
-        parts.push(`At $${best.unitPrice.toFixed(2)} per unit (${best.quantity}-pack), it offers strong value.`);
+    if (best.unitLabel && best.unitLabel !== 'ea' && isFinite(best.unitPrice)) {
+        parts.push(`At ${formatUnitPrice(best.unitPrice, best.unitLabel, best.currency)}, it offers strong value.`);
+    } else if (best.quantity > 1) {
+        parts.push(`At ${MoneyEngine.formatMoney(best.unitPrice, best.currency)} per unit (${best.quantity}-pack), it offers strong value.`);
     }
 
-    if (best.breakdown.shipping === 100) {
+    if (best.effectivePrice && best.price && best.effectivePrice < best.price - 0.005) {
+        parts.push(`You'd pay ${MoneyEngine.formatMoney(best.effectivePrice, best.currency)} after discounts (listed at ${MoneyEngine.formatMoney(best.price, best.currency)}).`);
+    }
+
+    if (best.shipping?.isPrime) {
         parts.push('Ships free with Prime.');
     }
+    if (best.shipping?.delivery) {
+        parts.push(`Arrives ${formatDeliveryRange(best.shipping.delivery)}.`);
+    }
 
     if (best.rating >= 4.5) {
         parts.push(`Rated ${best.rating}/5 stars with ${(best.reviewCount || 0).toLocaleString()} reviews.`);
     }
 
-    if (rankedProducts.length > 1) {
-        const runner = rankedProducts[1];
+    const runner = rankedProducts.find(p => p !== best);
+    if (runner) {
         parts.push(`Runner-up: ${runner.title} (${runner.score}/100).`);
     }
 
@@ -259,13 +1023,42 @@ function generateFallbackSummary(rankedProducts) {
 if (typeof globalThis !== 'undefined') {
     globalThis.ScoringEngine = {
         extractQuantity,
+        extractMeasure,
+        getUnitBasis,
+        buildVariantTitle,
         calculateUnitPrice,
+        calculateMeasureUnitPrice,
+        formatUnitPrice,
+        getPriceAdjustments,
+        calculateEffectivePrice,
+        normalizeOfferConditions,
+        selectBestOffer,
+        chooseOffer,
+        OFFER_CONDITIONS,
+        DEFAULT_OFFER_CONDITIONS,
+        extractKeywords,
         buildSearchQueryFallback,
+        buildSearchQueries,
+        getRatingPrior,
+        getAdjustedRating,
         getShippingScore,
+        getDeliveryDays,
+        parseNeedBy,
+        isDeliveryLate,
+        formatDeliveryRange,
+        normalizeConstraints,
+        countActiveConstraints,
+        getConstraintViolations,
+        applyConstraints,
+        DEFAULT_CONSTRAINTS,
         scoreProducts,
         generateFallbackSummary,
         getWeights,
-        WEIGHTS_WITH_AI,
-        WEIGHTS_WITHOUT_AI,
+        normalizeWeights,
+        listProfiles,
+        resolveProfile,
+        SCORE_FACTORS,
+        DEFAULT_PROFILES,
+        DEFAULT_PROFILE_ID,
     };
 }
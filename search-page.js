@@ -0,0 +1,186 @@
+// ============================================================
+// search-page.js — Score Badges on Amazon Search Results
+// Overlays each result with its unit price and score, and
+// highlights the best value on the page. Runs after content.js,
+// whose card parser and detail fetching it reuses; product pages
+// are only fetched when the user asks for it.
+// Depends on scoring.js (ScoringEngine) and money.js (MoneyEngine).
+// ============================================================
+
+(function () {
+    'use strict';
+
+    if (!globalThis.AmazonPage || document.getElementById('amz-opt-search-bar')) return;
+
+    const { parseSearchCard, fetchProductDetails, isVerificationError, resetVerification, searchCardSelector } = globalThis.AmazonPage;
+
+    // How many of the best-scoring results "Check details" fetches
+    const DETAIL_CHECK_COUNT = 5;
+    const RESCORE_DELAY_MS = 400;
+
+    const SETTINGS_KEYS = ['searchBadges', 'activeProfileId', 'customProfiles', 'subscribeSave', 'sponsoredMode'];
+
+    let settings = null;
+    // Products enriched from their detail pages, when the user asked for it
+    const detailed = new Map();
+    let detailController = null;
+
+    // ─── Settings ────────────────────────────────────────────
+
+    function loadSettings() {
+        return new Promise(resolve => {
+            chrome.storage.local.get(SETTINGS_KEYS, (data) => {
+                resolve({
+                    enabled: data.searchBadges !== false,
+                    profile: ScoringEngine.resolveProfile(data.activeProfileId, data.customProfiles),
+                    subscribeSave: !!data.subscribeSave,
+                    sponsoredMode: data.sponsoredMode || 'downweight',
+                });
+            });
+        });
+    }
+
+    // ─── Scoring ─────────────────────────────────────────────
+
+    /**
+     * Score every result card on the page and draw its badge.
+     * @returns {Array} ranked products
+     */
+    function scorePage() {
+        const cards = new Map();
+        const products = [];
+        document.querySelectorAll(searchCardSelector).forEach(card => {
+            const product = parseSearchCard(card);
+            if (!product || product.price === null) return;
+            cards.set(product.asin, card);
+            const details = detailed.get(product.asin);
+            products.push(details ? { ...details, ...product, shipping: details.shipping, pricing: details.pricing } : product);
+        });
+
+        const ranked = ScoringEngine.scoreProducts(products, null, {
+            weights: settings.profile.weights,
+            subscribeSave: settings.subscribeSave,
+        });
+        // Ads can't be the page's best value unless the user treats them like other results
+        const best = ranked.find(p => settings.sponsoredMode === 'keep' || !p.sponsored);
+
+        ranked.forEach(product => renderBadge(cards.get(product.asin), product, product === best));
+        renderBar(ranked);
+        return ranked;
+    }
+
+    // ─── Badges ──────────────────────────────────────────────
+
+    function renderBadge(card, product, isBest) {
+        if (!card) return;
+        let badge = card.querySelector('.amz-opt-score');
+        if (!badge) {
+            badge = document.createElement('div');
+            badge.className = 'amz-opt-score';
+            card.insertBefore(badge, card.firstChild);
+        }
+
+        const level = product.score >= 70 ? 'high' : product.score >= 50 ? 'mid' : 'low';
+        const unitPrice = product.unitPrice > 0
+            ? ScoringEngine.formatUnitPrice(product.unitPrice, product.unitLabel, product.currency)
+            : '';
+        badge.innerHTML = `
+      <span class="amz-opt-score-value amz-opt-score-${level}">${product.score}</span>
+      ${unitPrice ? `<span class="amz-opt-score-unit">${unitPrice}</span>` : ''}
+      ${detailed.has(product.asin) ? '<span class="amz-opt-score-note">details checked</span>' : ''}
+      ${isBest ? '<span class="amz-opt-score-best">🏆 Best value on this page</span>' : ''}
+    `;
+        badge.title = `Optimizer score with the "${settings.profile.name}" profile`;
+        card.classList.toggle('amz-opt-best-card', isBest);
+    }
+
+    function clearBadges() {
+        document.querySelectorAll('.amz-opt-score').forEach(el => el.remove());
+        document.querySelectorAll('.amz-opt-best-card').forEach(el => el.classList.remove('amz-opt-best-card'));
+        document.getElementById('amz-opt-search-bar')?.remove();
+    }
+
+    // ─── Page Bar ────────────────────────────────────────────
+
+    function renderBar(ranked, status = null) {
+        let bar = document.getElementById('amz-opt-search-bar');
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'amz-opt-search-bar';
+            bar.innerHTML = `
+      <span class="amz-opt-bar-text"></span>
+      <button class="amz-opt-bar-btn" title="Load the product pages of the best results for delivery fees and discounts">Check top ${DETAIL_CHECK_COUNT} details</button>
+    `;
+            bar.querySelector('.amz-opt-bar-btn').addEventListener('click', () => {
+                if (detailController) detailController.abort();
+                else checkDetails();
+            });
+            document.body.appendChild(bar);
+        }
+        bar.querySelector('.amz-opt-bar-text').textContent = status || `⚡ Scored ${ranked.length} results`;
+        bar.querySelector('.amz-opt-bar-btn').textContent = detailController
+            ? 'Stop'
+            : `Check top ${DETAIL_CHECK_COUNT} details`;
+    }
+
+    // Fetch the best results' product pages and score again with what they add
+    async function checkDetails() {
+        const top = scorePage()
+            .filter(p => !detailed.has(p.asin))
+            .slice(0, DETAIL_CHECK_COUNT);
+        if (top.length === 0) return;
+
+        detailController = new AbortController();
+        // Each click is a fresh try, even after an earlier robot check
+        resetVerification();
+        renderBar([], `Checking details 0/${top.length}…`);
+        try {
+            const products = await fetchProductDetails(top, detailController.signal, (done, total) => {
+                renderBar([], `Checking details ${done}/${total}…`);
+            });
+            // Pages that failed to load come back without reviewTexts
+            products.filter(p => Array.isArray(p.reviewTexts)).forEach(p => detailed.set(p.asin, p));
+            detailController = null;
+            scorePage();
+        } catch (err) {
+            detailController = null;
+            renderBar([], isVerificationError(err)
+                ? 'Amazon is asking for verification — complete the check, then try again'
+                : 'Couldn\'t check details');
+        }
+    }
+
+    // ─── Page Updates ────────────────────────────────────────
+
+    // Pagination and filters swap result cards in place; re-score once they settle
+    let rescoreTimer = null;
+
+    function scheduleRescore() {
+        clearTimeout(rescoreTimer);
+        rescoreTimer = setTimeout(() => {
+            if (settings.enabled && !detailController) scorePage();
+        }, RESCORE_DELAY_MS);
+    }
+
+    const observer = new MutationObserver(mutations => {
+        const cardsChanged = mutations.some(m => Array.from(m.addedNodes).some(node =>
+            node.nodeType === Node.ELEMENT_NODE
+            && (node.matches(searchCardSelector) || node.querySelector(searchCardSelector))));
+        if (cardsChanged) scheduleRescore();
+    });
+
+    chrome.storage.onChanged.addListener(async (changes, area) => {
+        if (area !== 'local' || !SETTINGS_KEYS.some(key => key in changes)) return;
+        settings = await loadSettings();
+        if (settings.enabled) scorePage();
+        else clearBadges();
+    });
+
+    // ─── Initialize ──────────────────────────────────────────
+
+    loadSettings().then(loaded => {
+        settings = loaded;
+        if (settings.enabled) scorePage();
+        observer.observe(document.body, { childList: true, subtree: true });
+    });
+})();
@@ -15,23 +15,107 @@ document.addEventListener('DOMContentLoaded', () => {
         testResult: document.getElementById('testResult'),
         saveBtn: document.getElementById('saveBtn'),
         saveStatus: document.getElementById('saveStatus'),
+        profileSelect: document.getElementById('profileSelect'),
+        profileName: document.getElementById('profileName'),
+        weightSliders: document.getElementById('weightSliders'),
+        saveProfileBtn: document.getElementById('saveProfileBtn'),
+        activateProfileBtn: document.getElementById('activateProfileBtn'),
+        deleteProfileBtn: document.getElementById('deleteProfileBtn'),
+        profileStatus: document.getElementById('profileStatus'),
+        searchQueries: document.getElementById('searchQueries'),
+        searchPages: document.getElementById('searchPages'),
+        searchBadges: document.getElementById('searchBadges'),
+        relevanceThreshold: document.getElementById('relevanceThreshold'),
+        relevanceMode: document.getElementById('relevanceMode'),
+        relevanceAICheck: document.getElementById('relevanceAICheck'),
+        sponsoredMode: document.getElementById('sponsoredMode'),
+        maxPrice: document.getElementById('maxPrice'),
+        maxUnitPrice: document.getElementById('maxUnitPrice'),
+        minRating: document.getElementById('minRating'),
+        minReviewCount: document.getElementById('minReviewCount'),
+        primeOrFreeOnly: document.getElementById('primeOrFreeOnly'),
+        brandInclude: document.getElementById('brandInclude'),
+        brandExclude: document.getElementById('brandExclude'),
+        subscribeSave: document.getElementById('subscribeSave'),
+        otherSellersEnabled: document.getElementById('otherSellersEnabled'),
+        offerConditions: {
+            new: document.getElementById('offerConditionNew'),
+            renewed: document.getElementById('offerConditionRenewed'),
+            used: document.getElementById('offerConditionUsed'),
+        },
+        crossMarketplaceEnabled: document.getElementById('crossMarketplaceEnabled'),
+        storefrontList: document.getElementById('storefrontList'),
+        exchangeRates: document.getElementById('exchangeRates'),
+        resetRatesBtn: document.getElementById('resetRatesBtn'),
+        historyStats: document.getElementById('historyStats'),
+        exportHistoryBtn: document.getElementById('exportHistoryBtn'),
+        clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+        historyStatus: document.getElementById('historyStatus'),
+        cacheTtls: {
+            search: document.getElementById('cacheTtlSearch'),
+            details: document.getElementById('cacheTtlDetails'),
+            ai: document.getElementById('cacheTtlAi'),
+        },
+        cacheStats: document.getElementById('cacheStats'),
+        clearCacheBtn: document.getElementById('clearCacheBtn'),
+        cacheStatus: document.getElementById('cacheStatus'),
+    };
+
+    const FACTOR_LABELS = {
+        unitPrice: 'Unit price',
+        rating: 'Rating',
+        reviewSentiment: 'Review sentiment',
+        reviewCount: 'Review count',
+        shipping: 'Shipping',
+        price: 'Price',
     };
 
     let currentMode = 'dev';
+    let customProfiles = [];
+    let activeProfileId = ScoringEngine.DEFAULT_PROFILE_ID;
+    const sliders = {};
 
     // ─── Load Saved Settings ──────────────────────────────
 
     chrome.storage.local.get(
-        ['aiMode', 'geminiApiKey', 'backendUrl', 'authToken'],
+        ['aiMode', 'geminiApiKey', 'backendUrl', 'authToken', 'searchQueries', 'searchPages', 'searchBadges', 'relevanceThreshold', 'relevanceMode', 'relevanceAICheck', 'sponsoredMode', 'constraints', 'subscribeSave', 'otherSellers', 'crossMarketplace', 'exchangeRates', 'cacheTtls'],
         (data) => {
             currentMode = data.aiMode || 'dev';
             els.apiKey.value = data.geminiApiKey || '';
             els.backendUrl.value = data.backendUrl || '';
             els.authToken.value = data.authToken || '';
+            els.searchQueries.value = String(data.searchQueries ?? 3);
+            els.searchPages.value = String(data.searchPages ?? 1);
+            els.searchBadges.checked = data.searchBadges !== false;
+            els.relevanceThreshold.value = String(data.relevanceThreshold ?? 0.35);
+            els.relevanceMode.value = data.relevanceMode || 'drop';
+            els.relevanceAICheck.checked = !!data.relevanceAICheck;
+            els.sponsoredMode.value = data.sponsoredMode || 'downweight';
+            loadConstraints(ScoringEngine.normalizeConstraints(data.constraints));
+            els.subscribeSave.checked = !!data.subscribeSave;
+            loadOtherSellers(data.otherSellers || {});
+            loadStorefronts(data.crossMarketplace || {}, MoneyEngine.normalizeExchangeRates(data.exchangeRates));
+            loadCacheTtls(ResultCache.normalizeCacheTtls(data.cacheTtls));
             setMode(currentMode);
         }
     );
 
+    chrome.storage.local.get(['customProfiles', 'activeProfileId'], (data) => {
+        customProfiles = data.customProfiles || [];
+        activeProfileId = ScoringEngine.resolveProfile(data.activeProfileId, customProfiles).id;
+        renderProfileOptions(activeProfileId);
+    });
+
+    function loadConstraints(constraints) {
+        els.maxPrice.value = constraints.maxPrice ?? '';
+        els.maxUnitPrice.value = constraints.maxUnitPrice ?? '';
+        els.minRating.value = constraints.minRating ? String(constraints.minRating) : '';
+        els.minReviewCount.value = constraints.minReviewCount ?? '';
+        els.primeOrFreeOnly.checked = constraints.primeOrFreeOnly;
+        els.brandInclude.value = constraints.brandInclude.join(', ');
+        els.brandExclude.value = constraints.brandExclude.join(', ');
+    }
+
     // ─── Mode Toggle ──────────────────────────────────────
 
     els.modeDevBtn.addEventListener('click', () => setMode('dev'));
@@ -141,6 +225,38 @@ document.addEventListener('DOMContentLoaded', () => {
             geminiApiKey: els.apiKey.value.trim(),
             backendUrl: els.backendUrl.value.trim(),
             authToken: els.authToken.value.trim(),
+            searchQueries: parseInt(els.searchQueries.value, 10),
+            searchPages: parseInt(els.searchPages.value, 10),
+            searchBadges: els.searchBadges.checked,
+            relevanceThreshold: parseFloat(els.relevanceThreshold.value),
+            relevanceMode: els.relevanceMode.value,
+            relevanceAICheck: els.relevanceAICheck.checked,
+            sponsoredMode: els.sponsoredMode.value,
+            constraints: ScoringEngine.normalizeConstraints({
+                maxPrice: els.maxPrice.value,
+                maxUnitPrice: els.maxUnitPrice.value,
+                minRating: els.minRating.value,
+                minReviewCount: els.minReviewCount.value,
+                primeOrFreeOnly: els.primeOrFreeOnly.checked,
+                brandInclude: els.brandInclude.value,
+                brandExclude: els.brandExclude.value,
+            }),
+            subscribeSave: els.subscribeSave.checked,
+            otherSellers: {
+                enabled: els.otherSellersEnabled.checked,
+                conditions: ScoringEngine.normalizeOfferConditions(
+                    Object.keys(els.offerConditions).filter(c => els.offerConditions[c].checked)),
+            },
+            crossMarketplace: {
+                enabled: els.crossMarketplaceEnabled.checked,
+                domains: Object.keys(storefrontChecks).filter(d => storefrontChecks[d].checked),
+            },
+            exchangeRates: MoneyEngine.normalizeExchangeRates(Object.fromEntries(
+                Object.entries(rateInputs).map(([code, input]) => [code, input.value])
+            )),
+            cacheTtls: ResultCache.normalizeCacheTtls(Object.fromEntries(
+                Object.entries(els.cacheTtls).map(([namespace, input]) => [namespace, input.value])
+            )),
         };
 
         chrome.storage.local.set(data, () => {
@@ -149,6 +265,235 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    // ─── Other Sellers ────────────────────────────────────
+
+    function loadOtherSellers(otherSellers) {
+        els.otherSellersEnabled.checked = !!otherSellers.enabled;
+        const conditions = ScoringEngine.normalizeOfferConditions(otherSellers.conditions);
+        Object.entries(els.offerConditions).forEach(([condition, input]) => {
+            input.checked = conditions.includes(condition);
+        });
+    }
+
+    // ─── Other Storefronts ────────────────────────────────
+
+    const storefrontChecks = {};
+    const rateInputs = {};
+
+    MarketplaceRegistry.listMarketplaces().forEach(m => {
+        const row = document.createElement('div');
+        row.className = 'checkbox-row';
+        row.innerHTML = `
+            <input type="checkbox" id="storefront-${m.domain}">
+            <label for="storefront-${m.domain}">${m.name} (${m.domain})</label>
+        `;
+        storefrontChecks[m.domain] = row.querySelector('input');
+        els.storefrontList.appendChild(row);
+    });
+
+    Object.keys(MoneyEngine.DEFAULT_EXCHANGE_RATES).filter(code => code !== 'USD').forEach(code => {
+        const row = document.createElement('div');
+        row.className = 'rate-row';
+        row.innerHTML = `
+            <label for="rate-${code}">${code}</label>
+            <input type="text" id="rate-${code}" inputmode="decimal">
+        `;
+        rateInputs[code] = row.querySelector('input');
+        els.exchangeRates.appendChild(row);
+    });
+
+    function loadStorefronts(crossMarketplace, rates) {
+        els.crossMarketplaceEnabled.checked = !!crossMarketplace.enabled;
+        const domains = crossMarketplace.domains || [];
+        Object.entries(storefrontChecks).forEach(([domain, input]) => {
+            input.checked = domains.includes(domain);
+        });
+        loadRates(rates);
+    }
+
+    function loadRates(rates) {
+        Object.entries(rateInputs).forEach(([code, input]) => {
+            input.value = String(rates[code]);
+        });
+    }
+
+    els.resetRatesBtn.addEventListener('click', () => {
+        loadRates(MoneyEngine.DEFAULT_EXCHANGE_RATES);
+    });
+
+    // ─── Price History ────────────────────────────────────
+
+    function refreshHistoryStats() {
+        PriceHistory.getHistoryStats()
+            .then(({ records, products }) => {
+                els.historyStats.textContent = records > 0
+                    ? `${records.toLocaleString()} daily prices recorded for ${products.toLocaleString()} products.`
+                    : 'No prices recorded yet.';
+            })
+            .catch(() => { els.historyStats.textContent = 'Price history is unavailable.'; });
+    }
+
+    els.exportHistoryBtn.addEventListener('click', async () => {
+        try {
+            const rows = await PriceHistory.exportHistory();
+            const blob = new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `price-history-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            showResult(els.historyStatus, `✗ Export failed: ${e.message}`, 'err');
+        }
+    });
+
+    els.clearHistoryBtn.addEventListener('click', async () => {
+        if (!confirm('Delete all recorded prices?')) return;
+        try {
+            await PriceHistory.clearHistory();
+            showResult(els.historyStatus, '✓ Price history cleared.', 'ok');
+            refreshHistoryStats();
+        } catch (e) {
+            showResult(els.historyStatus, `✗ Couldn't clear history: ${e.message}`, 'err');
+        }
+    });
+
+    refreshHistoryStats();
+
+    // ─── Cache ────────────────────────────────────────────
+
+    const CACHE_LABELS = { search: 'searches', details: 'product pages', ai: 'AI answers' };
+
+    function loadCacheTtls(ttls) {
+        Object.entries(els.cacheTtls).forEach(([namespace, input]) => {
+            input.value = String(ttls[namespace]);
+        });
+    }
+
+    function refreshCacheStats() {
+        ResultCache.getCacheStats()
+            .then(stats => {
+                const parts = Object.entries(stats)
+                    .filter(([, s]) => s.entries > 0)
+                    .map(([namespace, s]) => `${s.entries.toLocaleString()} ${CACHE_LABELS[namespace]}`);
+                const kb = Object.values(stats).reduce((sum, s) => sum + s.bytes, 0) / 1024;
+                els.cacheStats.textContent = parts.length > 0
+                    ? `${parts.join(', ')} cached (about ${Math.ceil(kb).toLocaleString()} KB).`
+                    : 'Nothing cached yet.';
+            })
+            .catch(() => { els.cacheStats.textContent = 'Cache stats are unavailable.'; });
+    }
+
+    els.clearCacheBtn.addEventListener('click', async () => {
+        try {
+            await ResultCache.clearCache();
+            showResult(els.cacheStatus, '✓ Cache cleared.', 'ok');
+            refreshCacheStats();
+        } catch (e) {
+            showResult(els.cacheStatus, `✗ Couldn't clear the cache: ${e.message}`, 'err');
+        }
+    });
+
+    refreshCacheStats();
+
+    // ─── Scoring Profiles ─────────────────────────────────
+
+    ScoringEngine.SCORE_FACTORS.forEach(key => {
+        const row = document.createElement('div');
+        row.className = 'slider-row';
+        row.innerHTML = `
+            <label for="weight-${key}">${FACTOR_LABELS[key]}</label>
+            <input type="range" id="weight-${key}" min="0" max="100" step="5">
+            <span class="slider-value"></span>
+        `;
+        const input = row.querySelector('input');
+        const value = row.querySelector('.slider-value');
+        input.addEventListener('input', () => { value.textContent = input.value; });
+        sliders[key] = { input, value };
+        els.weightSliders.appendChild(row);
+    });
+
+    els.profileSelect.addEventListener('change', () => loadProfile(els.profileSelect.value));
+
+    function renderProfileOptions(selectedId) {
+        els.profileSelect.innerHTML = '';
+        ScoringEngine.listProfiles(customProfiles).forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.id === activeProfileId ? `${profile.name} (active)` : profile.name;
+            els.profileSelect.appendChild(option);
+        });
+        els.profileSelect.value = selectedId;
+        loadProfile(selectedId);
+    }
+
+    function loadProfile(profileId) {
+        const profile = ScoringEngine.resolveProfile(profileId, customProfiles);
+        els.profileName.value = profile.name;
+        ScoringEngine.SCORE_FACTORS.forEach(key => {
+            const pct = Math.round((profile.weights[key] || 0) * 100);
+            sliders[key].input.value = pct;
+            sliders[key].value.textContent = pct;
+        });
+        els.deleteProfileBtn.disabled = !!profile.builtIn;
+    }
+
+    function saveProfiles(selectedId, message) {
+        chrome.storage.local.set({ customProfiles, activeProfileId }, () => {
+            renderProfileOptions(selectedId);
+            showResult(els.profileStatus, message, 'ok');
+            setTimeout(() => { els.profileStatus.innerHTML = ''; }, 3000);
+        });
+    }
+
+    els.saveProfileBtn.addEventListener('click', () => {
+        const name = els.profileName.value.trim();
+        const current = ScoringEngine.resolveProfile(els.profileSelect.value, customProfiles);
+        const weights = {};
+        ScoringEngine.SCORE_FACTORS.forEach(key => {
+            weights[key] = Number(sliders[key].input.value) / 100;
+        });
+
+        if (!name) {
+            showResult(els.profileStatus, 'Please give the profile a name.', 'err');
+            return;
+        }
+        if (!Object.values(weights).some(w => w > 0)) {
+            showResult(els.profileStatus, 'At least one weight must be above zero.', 'err');
+            return;
+        }
+        const clash = ScoringEngine.listProfiles(customProfiles)
+            .find(p => p.name.toLowerCase() === name.toLowerCase() && p.id !== current.id);
+        if (clash || (current.builtIn && name === current.name)) {
+            showResult(els.profileStatus, 'A profile with that name already exists.', 'err');
+            return;
+        }
+
+        if (current.builtIn) {
+            const profile = { id: `custom-${Date.now()}`, name, weights };
+            customProfiles.push(profile);
+            saveProfiles(profile.id, '✓ Profile created!');
+        } else {
+            customProfiles = customProfiles.map(p => (p.id === current.id ? { ...p, name, weights } : p));
+            saveProfiles(current.id, '✓ Profile saved!');
+        }
+    });
+
+    els.activateProfileBtn.addEventListener('click', () => {
+        activeProfileId = els.profileSelect.value;
+        saveProfiles(activeProfileId, '✓ Active profile updated.');
+    });
+
+    els.deleteProfileBtn.addEventListener('click', () => {
+        const current = ScoringEngine.resolveProfile(els.profileSelect.value, customProfiles);
+        if (current.builtIn) return;
+
+        customProfiles = customProfiles.filter(p => p.id !== current.id);
+        if (activeProfileId === current.id) activeProfileId = ScoringEngine.DEFAULT_PROFILE_ID;
+        saveProfiles(activeProfileId, '✓ Profile deleted.');
+    });
+
     // ─── Helpers ──────────────────────────────────────────
 
     function showResult(container, message, type) {
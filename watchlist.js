@@ -0,0 +1,185 @@
+// ============================================================
+// watchlist.js — Watched Products & Price-drop Alerts
+// Products the user watches with a target price or unit price,
+// kept in chrome.storage.local. The background worker re-checks
+// them on an alarm; the popup adds, lists and removes them.
+// Depends on money.js (MoneyEngine) and scoring.js (ScoringEngine).
+// ============================================================
+
+const WATCHLIST_KEY = 'watchlist';
+
+// How often watched products are re-fetched, and how many can be watched
+const WATCH_CHECK_MINUTES = 60;
+const WATCH_MAX_ITEMS = 50;
+
+// ─── Watch Items ─────────────────────────────────────────────
+
+function getWatchId(asin, marketplace = 'amazon.com') {
+    return `${marketplace}:${asin}`;
+}
+
+function parseTarget(value) {
+    const n = parseFloat(value);
+    return isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * A new watch item for a product from the results.
+ * @param {object} product - Result product (asin, title, effectivePrice, unitCount...)
+ * @param {object} targets - { targetPrice, targetUnitPrice }
+ * @param {number} [now]
+ * @returns {object}
+ */
+function createWatch(product, targets = {}, now = Date.now()) {
+    const marketplace = product.marketplace || 'amazon.com';
+    const price = product.effectivePrice ?? product.price ?? null;
+    const unitCount = product.unitCount > 0 ? product.unitCount : null;
+    return {
+        id: getWatchId(product.asin, marketplace),
+        asin: product.asin,
+        marketplace,
+        title: product.title || '',
+        url: product.url || '',
+        imageUrl: product.imageUrl || '',
+        currency: product.currency || 'USD',
+        unitLabel: unitCount ? product.unitLabel : null,
+        unitCount,
+        targetPrice: parseTarget(targets.targetPrice),
+        targetUnitPrice: unitCount ? parseTarget(targets.targetUnitPrice) : null,
+        lastPrice: price,
+        lastUnitPrice: price !== null && unitCount ? price / unitCount : null,
+        inStock: true,
+        alerted: { price: false, unitPrice: false },
+        addedAt: now,
+        lastChecked: now,
+    };
+}
+
+/**
+ * Compare a fresh observation with a watch item's targets.
+ * Price alerts fire once when the price crosses below target and re-arm
+ * when it goes back above; a restock alert fires when an item that was
+ * out of stock is available again.
+ * @param {object} item - Watch item
+ * @param {object} observation - { price, inStock } where price is the landed price
+ * @param {number} [now]
+ * @returns {{patch: object, alerts: Array<{type: string, value: number|null}>}}
+ */
+function evaluateWatch(item, observation, now = Date.now()) {
+    const price = observation.price > 0 ? observation.price : null;
+    const inStock = observation.inStock !== false;
+    const unitPrice = price !== null && item.unitCount ? price / item.unitCount : null;
+
+    const alerts = [];
+    const alerted = { ...(item.alerted || {}) };
+
+    if (inStock && item.inStock === false) {
+        alerts.push({ type: 'restock', value: price });
+    }
+
+    const checkTarget = (key, value, target) => {
+        if (target === null || target === undefined || value === null || !inStock) return;
+        if (value <= target) {
+            if (!alerted[key]) alerts.push({ type: key, value });
+            alerted[key] = true;
+        } else {
+            alerted[key] = false;
+        }
+    };
+    checkTarget('price', price, item.targetPrice);
+    checkTarget('unitPrice', unitPrice, item.targetUnitPrice);
+
+    return {
+        patch: {
+            lastPrice: price ?? item.lastPrice,
+            lastUnitPrice: unitPrice ?? item.lastUnitPrice,
+            inStock,
+            alerted,
+            lastChecked: now,
+        },
+        alerts,
+    };
+}
+
+/**
+ * Notification title and message for an alert.
+ * @param {object} item
+ * @param {object} alert - From evaluateWatch
+ * @returns {{title: string, message: string}}
+ */
+function describeAlert(item, alert) {
+    const money = amount => MoneyEngine.formatMoney(amount, item.currency);
+    if (alert.type === 'restock') {
+        return {
+            title: 'Back in stock',
+            message: alert.value ? `${item.title} — now ${money(alert.value)}` : item.title,
+        };
+    }
+    if (alert.type === 'unitPrice') {
+        const unit = v => ScoringEngine.formatUnitPrice(v, item.unitLabel, item.currency);
+        return {
+            title: `Unit price drop: ${unit(alert.value)}`,
+            message: `${item.title} (target ${unit(item.targetUnitPrice)})`,
+        };
+    }
+    return {
+        title: `Price drop: ${money(alert.value)}`,
+        message: `${item.title} (target ${money(item.targetPrice)})`,
+    };
+}
+
+// ─── Storage ─────────────────────────────────────────────────
+
+async function getWatchlist() {
+    return new Promise(resolve => {
+        chrome.storage.local.get([WATCHLIST_KEY], (data) => resolve(data[WATCHLIST_KEY] || []));
+    });
+}
+
+async function saveWatchlist(items) {
+    return new Promise(resolve => {
+        chrome.storage.local.set({ [WATCHLIST_KEY]: items }, resolve);
+    });
+}
+
+/**
+ * Watch a product, replacing any existing watch on the same ASIN and storefront.
+ * @returns {Promise<object>} the new item
+ */
+async function addWatch(product, targets) {
+    const item = createWatch(product, targets);
+    const items = (await getWatchlist()).filter(i => i.id !== item.id);
+    if (items.length >= WATCH_MAX_ITEMS) {
+        throw new Error(`You can watch up to ${WATCH_MAX_ITEMS} products`);
+    }
+    await saveWatchlist([...items, item]);
+    return item;
+}
+
+async function removeWatch(id) {
+    const items = await getWatchlist();
+    await saveWatchlist(items.filter(i => i.id !== id));
+}
+
+// Re-reads the list so edits made while a check was running aren't lost
+async function updateWatch(id, patch) {
+    const items = await getWatchlist();
+    await saveWatchlist(items.map(i => (i.id === id ? { ...i, ...patch } : i)));
+}
+
+// ─── Export ──────────────────────────────────────────────────
+
+if (typeof globalThis !== 'undefined') {
+    globalThis.Watchlist = {
+        getWatchId,
+        createWatch,
+        evaluateWatch,
+        describeAlert,
+        getWatchlist,
+        addWatch,
+        removeWatch,
+        updateWatch,
+        WATCH_CHECK_MINUTES,
+        WATCH_MAX_ITEMS,
+    };
+}